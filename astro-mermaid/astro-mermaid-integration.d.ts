@@ -1,15 +1,105 @@
-import type { AstroIntegration } from 'astro';
+import type { AstroIntegration, AstroIntegrationLogger } from 'astro';
+import type { Root as HastRoot } from 'hast';
+import type { Root as MdastRoot } from 'mdast';
+import type { Plugin } from 'unified';
 
 export interface IconPack {
   /**
-   * Name of the icon pack
+   * Name of the icon pack, used as the icon prefix in diagrams (`logos:react`)
    */
   name: string;
-  
+
+  /**
+   * Iconify JSON for the pack
+   */
+  icons?: Record<string, any>;
+
+  /**
+   * Installed package shipping an Iconify `icons.json`, resolved from the project root
+   * @example '@iconify-json/logos'
+   */
+  package?: string;
+
+  /**
+   * Function that returns a promise resolving to the icon pack data.
+   * Called once during the build, never in the browser.
+   */
+  loader?: () => Promise<any>;
+}
+
+/**
+ * Context handed to an engine's `render` function
+ */
+export interface DiagramRenderContext {
+  /**
+   * Mermaid theme in effect for the diagram, from the page or the fence's `theme`
+   */
+  theme: 'default' | 'dark' | 'forest' | 'neutral' | 'base';
+
+  /**
+   * Colors read from the page's CSS custom properties when `autoThemeVariables` is on,
+   * including `darkMode`
+   */
+  themeVariables?: Record<string, any>;
+
+  /**
+   * The fence's `config` JSON
+   */
+  config: Record<string, any>;
+
+  /**
+   * Id for the root `<svg>`, unique on the page
+   */
+  id?: string;
+}
+
+/**
+ * Module rendering one diagram language, imported at build time and in the browser
+ */
+export interface DiagramEngineModule {
+  /**
+   * Render a definition to an SVG string, throwing on syntax errors
+   */
+  render(definition: string, context: DiagramRenderContext): Promise<string>;
+
+  /**
+   * Check a definition without rendering it, used by the `validate` option
+   */
+  validate?(definition: string): Promise<void>;
+}
+
+export interface DiagramEngine {
+  /**
+   * Engine name, written to `data-engine` on the rendered diagram
+   */
+  name: string;
+
+  /**
+   * Code fence languages handled by the engine
+   */
+  languages: string[];
+
+  /**
+   * Absolute path or package specifier of a module implementing {@link DiagramEngineModule}
+   */
+  module: string;
+}
+
+export interface ToolbarOptions {
+  /**
+   * Toolbar buttons in display order
+   * - `'copy'`: copy the mermaid source to the clipboard
+   * - `'svg'`: download the rendered SVG
+   * - `'png'`: download the diagram rasterized to PNG
+   * @default ['copy', 'svg', 'png']
+   */
+  items?: Array<'copy' | 'svg' | 'png'>;
+
   /**
-   * Function that returns a promise resolving to the icon pack data
+   * Pixel ratio the PNG download is rendered at, relative to the diagram's natural size
+   * @default 2
    */
-  loader: () => Promise<any>;
+  pngScale?: number;
 }
 
 export interface AstroMermaidOptions {
@@ -32,18 +122,324 @@ export interface AstroMermaidOptions {
   mermaidConfig?: Record<string, any>;
   
   /**
-   * Icon packs to register with mermaid
+   * Icon packs to register with mermaid. Each pack is resolved at build time
+   * and served as a static chunk, loaded the first time a diagram uses it.
+   * Give exactly one of `icons`, `package` or `loader` per pack.
    * @example
    * ```js
    * iconPacks: [
-   *   {
-   *     name: 'logos',
-   *     loader: () => fetch('https://unpkg.com/@iconify-json/logos@1/icons.json').then(res => res.json())
-   *   }
+   *   { name: 'logos', package: '@iconify-json/logos' }
    * ]
    * ```
    */
   iconPacks?: IconPack[];
+
+  /**
+   * Where diagrams are rendered
+   * - `'client'`: mermaid.js renders every diagram in the browser
+   * - `'build'`: diagrams are rendered to inline SVG during `astro build`, pages
+   *   without client-rendered diagrams never load mermaid.js
+   * - `'hybrid'`: like `'build'`, but the client re-renders diagrams when the
+   *   active theme differs from the one they were pre-rendered with
+   *
+   * Build-time rendering requires the optional `mermaid-isomorphic` package and a
+   * playwright browser (`npx playwright install chromium`). Diagrams that cannot be
+   * pre-rendered fall back to client-side rendering, as does `astro dev`.
+   * @default 'client'
+   */
+  renderMode?: 'client' | 'build' | 'hybrid';
+
+  /**
+   * Maps `data-theme` values to mermaid themes, merged over the built-in map.
+   * Themes without an entry fall back to `theme` with a console warning.
+   * @example
+   * ```js
+   * themeMap: {
+   *   'tokyo-night': 'dark',
+   *   'github-light': 'default'
+   * }
+   * ```
+   */
+  themeMap?: Record<string, 'default' | 'dark' | 'forest' | 'neutral' | 'base'>;
+
+  /**
+   * Render with mermaid's `base` theme and derive its `themeVariables` from the
+   * page's CSS custom properties, so diagrams follow every site theme.
+   * Pass an object to map additional or different themeVariables to custom properties.
+   * @default false
+   * @example
+   * ```js
+   * autoThemeVariables: {
+   *   primaryColor: '--theme-accent',
+   *   lineColor: '--theme-separator'
+   * }
+   * ```
+   */
+  autoThemeVariables?: boolean | Record<string, string>;
+
+  /**
+   * Render diagrams only as they approach the viewport. Theme changes re-render
+   * visible diagrams right away and the rest once they scroll into view.
+   * Falls back to rendering everything up front without IntersectionObserver support.
+   * @default true
+   */
+  lazy?: boolean;
+
+  /**
+   * IntersectionObserver root margin deciding how early lazy diagrams start rendering
+   * @default '200px 0px'
+   */
+  rootMargin?: string;
+
+  /**
+   * Add a collapsible "View diagram source" block with the original definition
+   * below every diagram. Single diagrams can opt in or out with the `source` fence option.
+   *
+   * Diagrams are always wrapped in a `<figure>`, with the fence `title` as its
+   * `<figcaption>` and mermaid's `accTitle`/`accDescr` wired into
+   * `aria-labelledby`/`aria-describedby`.
+   * @default false
+   */
+  showSource?: boolean;
+
+  /**
+   * Add an interactive viewer to rendered diagrams: drag to pan, ctrl/cmd + wheel
+   * or trackpad pinch to zoom, a reset control and a fullscreen `<dialog>` where
+   * plain wheel and touch pinch zoom too. Single diagrams can opt in or out with
+   * the `viewer` fence option. Controls are styled with the site's `--theme-*`
+   * custom properties and keep their zoom level when a theme change re-renders the diagram.
+   * @default false
+   */
+  viewer?: boolean;
+
+  /**
+   * Add a toolbar below rendered diagrams to copy their mermaid source and download
+   * them as SVG or PNG. Pass an object to pick the buttons or the PNG scale.
+   * Single diagrams can opt in or out with the `toolbar` fence option.
+   * The toolbar is hidden when printing.
+   * @default false
+   * @example
+   * ```js
+   * toolbar: {
+   *   items: ['copy', 'png'],
+   *   pngScale: 3
+   * }
+   * ```
+   */
+  toolbar?: boolean | ToolbarOptions;
+
+  /**
+   * Parse every diagram with mermaid during the markdown pass and report syntax
+   * errors through the Astro logger with the file path and the fence's line number
+   * - `'off'`: no build-time checks, errors only show up in the browser
+   * - `'warn'`: log invalid diagrams and keep building
+   * - `'error'`: log invalid diagrams and fail the build
+   * @default 'off'
+   */
+  validate?: 'off' | 'warn' | 'error';
+
+  /**
+   * Nonce for a strict Content-Security-Policy. The integration ships no inline
+   * scripts or stylesheets of its own, but every mermaid SVG embeds a `<style>`
+   * element; those get this nonce, both when pre-rendered and in the browser.
+   * Pair it with a matching `style-src 'nonce-...'` directive and with
+   * `style-src-attr 'unsafe-inline'`: mermaid also styles shapes and labels through
+   * `style` attributes, which no nonce covers, e.g.
+   * `style-src 'self' 'nonce-...'; style-src-attr 'unsafe-inline'`.
+   */
+  nonce?: string;
+
+  /**
+   * Diagram engines rendering other fence languages next to mermaid. They share
+   * the skeleton, error box, theme switching, viewer and toolbar with mermaid diagrams.
+   * @example
+   * ```js
+   * import mermaid, { graphviz } from 'astro-mermaid';
+   *
+   * mermaid({ engines: [graphviz()] })
+   * ```
+   */
+  engines?: DiagramEngine[];
+
+  /**
+   * Render every diagram once per theme family, light and dark, and keep both SVGs
+   * in the page. A generated stylesheet shows the one matching `[data-theme]`, so
+   * switching themes needs no mermaid work. A data-theme belongs to the dark family
+   * when `themeMap` maps it to a dark theme. Diagrams pinning a `theme` in their
+   * fence render once. Pre-renders both SVGs in `build` and `hybrid` mode, and
+   * `autoThemeVariables` is ignored since page colors are only known in the browser.
+   * Pass an object to pick the mermaid theme of each family.
+   * @default false
+   * @example
+   * ```js
+   * dualTheme: { light: 'neutral', dark: 'dark' }
+   * ```
+   */
+  dualTheme?: boolean | DualThemeOptions;
+
+  /**
+   * What production pages show in place of a diagram that fails to render in the browser
+   * - `'source'`: the diagram source as a code block, with a short note
+   * - `'message'`: a styled box with the error message
+   * - `'hide'`: nothing, the whole figure is hidden
+   *
+   * During `astro dev` broken diagrams always show their numbered source with the
+   * failing line highlighted, a link opening the Markdown file at that line in the
+   * editor, and the error is reported to the dev error overlay.
+   * @default 'source'
+   */
+  errorFallback?: 'source' | 'message' | 'hide';
+
+  /**
+   * Write a JSON manifest after `astro build`, listing every diagram of the Markdown and
+   * MDX files with its pages, source file, fence line, type, content hash and validation
+   * result. Entries survive builds where Astro's content layer serves unchanged files
+   * from its cache. `true` writes `.astro/mermaid-manifest.json`, a string is a path
+   * relative to the project root. The manifest stays out of the build output, so source
+   * paths are not deployed.
+   * @default true
+   */
+  manifest?: boolean | string;
+
+  /**
+   * Mermaid config sections applied per diagram type, such as `gitGraph` or `flowchart`.
+   * Each section is merged key by key over the built-in defaults and under the same
+   * section of `mermaidConfig`, which always wins. `false` drops a built-in section.
+   * @default { gitGraph: { mainBranchName: 'main', showCommitLabel: true, showBranches: true, rotateCommitLabel: true } }
+   * @example
+   * ```js
+   * diagramDefaults: {
+   *   flowchart: { curve: 'linear' },
+   *   gitGraph: { rotateCommitLabel: false }
+   * }
+   * ```
+   */
+  diagramDefaults?: Record<string, Record<string, any> | false>;
+
+  /**
+   * Modules whose default export is a list of layout loaders, registered with
+   * `mermaid.registerLayoutLoaders` before the first diagram renders. Package
+   * specifiers are bundled, URLs are loaded by the browser as they are.
+   * Build-time rendering only knows mermaid's built-in layouts.
+   * @example ['@mermaid-js/layout-elk']
+   */
+  layoutLoaders?: string[];
+
+  /**
+   * Where the browser loads mermaid from: a package specifier bundled by Vite, such as
+   * an alternative entry point, or a URL to a self-hosted or CDN ESM build whose default
+   * export is mermaid. Build-time validation always uses the installed `mermaid` package.
+   * @default 'mermaid'
+   * @example '/vendor/mermaid.esm.min.mjs'
+   */
+  mermaidSource?: string;
+}
+
+/**
+ * One diagram in `mermaid-manifest.json`
+ */
+export interface MermaidManifestEntry {
+  /** Pages of the build output showing the diagram, e.g. `/posts/hello/` */
+  pages: string[];
+  /** Markdown file containing the fence, relative to the project root */
+  sourceFile: string;
+  /** Line of the opening fence */
+  line: number | null;
+  /** External `.mmd` file the fence loads with `src`, relative to the project root */
+  diagramFile: string | null;
+  /** Engine rendering the diagram, `mermaid` or e.g. `graphviz` */
+  engine: string;
+  /** Diagram type from the first keyword, e.g. `flowchart`, `sequence` or `gitGraph` */
+  type: string;
+  /** Figure id, the first 8 characters of the hash */
+  id: string;
+  /** SHA-256 of the diagram source */
+  hash: string;
+  /** Whether the diagram passed build-time validation, `null` when `validate` is off */
+  valid: boolean | null;
+}
+
+/**
+ * Contents of `mermaid-manifest.json`
+ */
+export interface MermaidManifest {
+  diagrams: MermaidManifestEntry[];
+  /** Number of diagrams per type */
+  types: Record<string, number>;
+}
+
+/**
+ * Mermaid themes of the two SVGs rendered per diagram with `dualTheme`
+ */
+export interface DualThemeOptions {
+  /**
+   * @default 'default'
+   */
+  light?: 'default' | 'dark' | 'forest' | 'neutral' | 'base';
+
+  /**
+   * @default 'dark'
+   */
+  dark?: 'default' | 'dark' | 'forest' | 'neutral' | 'base';
+}
+
+/**
+ * Options a single diagram can set from its code fence meta string
+ * @example
+ * ```md
+ * ```mermaid theme=forest title="Request lifecycle" align=left config='{"flowchart":{"curve":"basis"}}'
+ * ```
+ */
+export interface DiagramOptions {
+  /**
+   * Theme for this diagram, ignoring automatic theme switching
+   */
+  theme?: 'default' | 'dark' | 'forest' | 'neutral' | 'base';
+
+  /**
+   * Caption shown below the diagram
+   */
+  title?: string;
+
+  /**
+   * Horizontal alignment of the diagram
+   * @default 'center'
+   */
+  align?: 'left' | 'center' | 'right';
+
+  /**
+   * External `.mmd` file inlined at build time instead of the fence content, resolved
+   * relative to the Markdown file. Also available as a leaf directive:
+   * `::mermaid{src="./diagrams/flow.mmd" title="Flow"}`. `astro dev` re-renders
+   * pages when a referenced file changes.
+   */
+  src?: string;
+
+  /**
+   * Mermaid configuration overrides for this diagram, written as JSON
+   */
+  config?: Record<string, any>;
+
+  /**
+   * Show or hide the "View diagram source" block for this diagram,
+   * written as a bare `source` flag or `source=false`
+   * @default AstroMermaidOptions.showSource
+   */
+  source?: boolean;
+
+  /**
+   * Enable or disable the pan/zoom viewer for this diagram,
+   * written as a bare `viewer` flag or `viewer=false`
+   * @default AstroMermaidOptions.viewer
+   */
+  viewer?: boolean;
+
+  /**
+   * Show or hide the copy and download toolbar for this diagram,
+   * written as a bare `toolbar` flag or `toolbar=false`
+   * @default AstroMermaidOptions.toolbar
+   */
+  toolbar?: boolean;
 }
 
 /**
@@ -64,4 +460,135 @@ export interface AstroMermaidOptions {
  * });
  * ```
  */
-export default function astroMermaid(options?: AstroMermaidOptions): AstroIntegration;
\ No newline at end of file
+export default function astroMermaid(options?: AstroMermaidOptions): AstroIntegration;
+
+/**
+ * Graphviz engine for ```dot and ```graphviz fences, rendered with Graphviz compiled
+ * to WebAssembly. Requires the optional `@viz-js/viz` package. A fence's `config` may set
+ * the layout `engine` and `graphAttributes`, `nodeAttributes` or `edgeAttributes`.
+ */
+export function graphviz(options?: {
+  /**
+   * Fence languages to claim
+   * @default ['dot', 'graphviz']
+   */
+  languages?: string[];
+}): DiagramEngine;
+/**
+ * Build-time rendering settings passed to the remark and rehype plugins
+ */
+export interface PrerenderOptions {
+  /**
+   * `'build'` inlines the SVG only, `'hybrid'` also keeps the source for client re-renders
+   */
+  mode: 'build' | 'hybrid';
+
+  /**
+   * Mermaid theme diagrams are pre-rendered with, unless the fence sets its own
+   */
+  theme: 'default' | 'dark' | 'forest' | 'neutral' | 'base';
+
+  /**
+   * Mermaid configuration used for pre-rendering
+   */
+  mermaidConfig?: Record<string, any>;
+
+  /**
+   * Whether diagrams get the copy and download toolbar by default
+   */
+  toolbar?: boolean;
+
+  /**
+   * Keep the source of pre-rendered diagrams whose toolbar copies it
+   */
+  copySource?: boolean;
+
+  /**
+   * CSP nonce added to the `<style>` elements of pre-rendered SVGs
+   */
+  nonce?: string;
+
+  /**
+   * Themes of the light and dark SVG pre-rendered per diagram, `null` renders one SVG
+   */
+  dualTheme?: Required<DualThemeOptions> | null;
+}
+
+/**
+ * Options of the remark and rehype plugins, set by the integration when it registers them
+ */
+export interface MermaidPluginOptions {
+  /**
+   * Logger for progress, warnings and validation errors
+   */
+  logger?: Pick<AstroIntegrationLogger, 'info' | 'warn' | 'error'>;
+
+  /**
+   * Render diagrams to inline SVG, `null` renders them on the client
+   * @default null
+   */
+  prerender?: PrerenderOptions | null;
+
+  /**
+   * Add a collapsible "View diagram source" block below every diagram
+   * @default false
+   */
+  showSource?: boolean;
+
+  /**
+   * Check diagram syntax while transforming
+   * @default 'off'
+   */
+  validate?: 'off' | 'warn' | 'error';
+
+  /**
+   * Diagram engines besides mermaid
+   */
+  engines?: DiagramEngine[];
+
+  /**
+   * Record each diagram's file and line on its `<pre>`, for the dev error box
+   * @default false
+   */
+  sourceLocations?: boolean;
+
+  /**
+   * Collector the integration writes `mermaid-manifest.json` from, `null` skips it
+   * @default null
+   */
+  manifest?: { record(sourceFile: string, diagrams: object[]): void } | null;
+
+  /**
+   * Called with every external diagram file and the Markdown file referencing it
+   */
+  trackDiagramFile?: (diagramPath: string, filePath: string) => void;
+}
+
+/**
+ * Remark plugin turning ```mermaid code fences and `::mermaid{src=...}` leaf
+ * directives into diagram figures, for unified pipelines outside Astro
+ * @example
+ * ```js
+ * unified().use(remarkParse).use(remarkMermaidPlugin, { showSource: true })
+ * ```
+ */
+export const remarkMermaidPlugin: Plugin<[MermaidPluginOptions?], MdastRoot>;
+
+/**
+ * Rehype plugin turning `<pre><code class="language-mermaid">` blocks into diagram figures
+ */
+export const rehypeMermaidPlugin: Plugin<[MermaidPluginOptions?], HastRoot>;
+
+/**
+ * Render one diagram to the markup the plugins emit, as used by the `<Mermaid>` component
+ */
+export function renderMermaidFigure(
+  definition: string,
+  diagramOptions?: Omit<DiagramOptions, 'src'>,
+  options?: MermaidPluginOptions & {
+    /** Page or file the diagram belongs to, used in messages */
+    filePath?: string;
+    /** Explicit figure id, derived from the definition by default */
+    id?: string;
+  }
+): Promise<string>;
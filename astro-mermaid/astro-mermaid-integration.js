@@ -1,8 +1,13 @@
+import { createHash, randomUUID } from 'node:crypto';
+import { access, mkdir, readdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, isAbsolute, relative, resolve as resolvePath, sep } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
 import { resolve } from 'import-meta-resolve';
 
 /**
  * Helper function to HTML-escape text content
- * This ensures HTML tags in mermaid diagrams are preserved as text
+ * This ensures HTML tags in mermaid diagrams are preserved as text.
+ * Shared with the client script, so it must stay self-contained.
  */
 function escapeHtml(text) {
   const htmlEntities = {
@@ -15,437 +20,2796 @@ function escapeHtml(text) {
   return text.replace(/[&<>"']/g, char => htmlEntities[char]);
 }
 
+const MERMAID_THEMES = ['default', 'dark', 'forest', 'neutral', 'base'];
+const ALIGNMENTS = ['left', 'center', 'right'];
+const TOOLBAR_ITEMS = ['copy', 'svg', 'png'];
+
 /**
- * Remark plugin to transform mermaid code blocks at the markdown level
+ * Built-in mapping of data-theme values to mermaid themes, extended by the themeMap option
  */
-function remarkMermaidPlugin(options = {}) {
-  return async function transformer(tree, file) {
-    const { visit } = await import('unist-util-visit');
+const DEFAULT_THEME_MAP = {
+  'light': 'default',
+  'dark': 'dark',
+  'catppuccin-mocha': 'dark',
+  'catppuccin-latte': 'default',
+  'dracula': 'dark',
+  'gruvbox-dark-soft': 'dark',
+  'gruvbox-light-soft': 'default',
+  'one-dark-pro': 'dark',
+  'one-light': 'default',
+  'snazzy-light': 'default',
+  'solarized-light': 'default',
+  'synthwave-84': 'dark'
+};
 
-    let mermaidCount = 0;
+/**
+ * CSS custom properties read for each mermaid themeVariable when autoThemeVariables is on
+ */
+const DEFAULT_THEME_VARIABLES = {
+  background: '--theme-background',
+  primaryColor: '--theme-background',
+  primaryTextColor: '--theme-foreground',
+  primaryBorderColor: '--theme-accent',
+  secondaryColor: '--theme-note',
+  tertiaryColor: '--theme-background',
+  lineColor: '--theme-foreground',
+  textColor: '--theme-foreground',
+  noteBkgColor: '--theme-background',
+  noteTextColor: '--theme-foreground',
+  noteBorderColor: '--theme-caution',
+  errorBkgColor: '--theme-warning',
+  fontFamily: '--theme-font'
+};
 
-    visit(tree, 'code', (node, index, parent) => {
-      if (node.lang === 'mermaid') {
-        mermaidCount++;
+/**
+ * Mermaid config sections applied per diagram type unless diagramDefaults or mermaidConfig say otherwise
+ */
+const DEFAULT_DIAGRAM_DEFAULTS = {
+  gitGraph: {
+    mainBranchName: 'main',
+    showCommitLabel: true,
+    showBranches: true,
+    rotateCommitLabel: true
+  }
+};
 
-        // Transform to html node with pre.mermaid, escaping HTML content
-        const htmlNode = {
-          type: 'html',
-          value: `<pre class="mermaid">${escapeHtml(node.value)}</pre>`
-        };
+/**
+ * Built-in mermaid engine. Its rendering stays special-cased (mermaid-isomorphic at build
+ * time, the inline client script in the browser), the registry only routes fences to it.
+ */
+const MERMAID_ENGINE = { name: 'mermaid', languages: ['mermaid'] };
 
-        // Replace the code node with html node
-        if (parent && typeof index === 'number') {
-          parent.children[index] = htmlNode;
-        }
+/**
+ * Loggers of the integration instances in this process by id, for their <Mermaid> components.
+ * The component renders in Vite's module graph, apart from the integration's own module, so
+ * each virtual config module looks up its instance's logger by the id written into it.
+ */
+const COMPONENT_LOGGERS = Symbol.for('astro-mermaid.loggers');
 
-        if (options.logger) {
-          options.logger.info(`Remark transformed mermaid block #${mermaidCount} in ${file.path || 'unknown file'}`);
-        }
-      }
-    });
+/**
+ * Graphviz engine rendering ```dot and ```graphviz fences with Graphviz compiled to WASM
+ * Requires the optional `@viz-js/viz` package.
+ */
+export function graphviz({ languages = ['dot', 'graphviz'] } = {}) {
+  return {
+    name: 'graphviz',
+    languages,
+    module: resolvePath(dirname(fileURLToPath(import.meta.url)), 'engines/graphviz.js')
+  };
+}
 
-    if (mermaidCount > 0 && options.logger) {
-      options.logger.info(`Remark total mermaid blocks transformed: ${mermaidCount}`);
+/**
+ * Helper function to index diagram engines by the fence languages they claim
+ * Mermaid is always registered. Other engines name a module, imported at build time
+ * and in the browser, exporting `render(definition, context)` and optionally `validate(definition)`.
+ */
+function createEngineRegistry(engines = []) {
+  const registry = new Map();
+  for (const engine of [MERMAID_ENGINE, ...engines]) {
+    if (typeof engine?.name !== 'string' || !Array.isArray(engine.languages) || engine.languages.length === 0) {
+      throw new Error(`[astro-mermaid] Invalid diagram engine "${engine?.name}", expected a name and a list of languages`);
     }
-  };
+    if (engine !== MERMAID_ENGINE && typeof engine.module !== 'string') {
+      throw new Error(`[astro-mermaid] Invalid diagram engine "${engine.name}", expected the module that renders it`);
+    }
+    for (const language of engine.languages) {
+      if (registry.has(language)) {
+        throw new Error(`[astro-mermaid] Fence language "${language}" is claimed by both "${registry.get(language).name}" and "${engine.name}"`);
+      }
+      registry.set(language, engine);
+    }
+  }
+  return registry;
 }
 
 /**
- * Helper function to serialize HAST nodes back to HTML text
- * This preserves HTML tags within the mermaid content
+ * Modules of the non-mermaid engines, imported once per build
  */
-function serializeHastChildren(children) {
-  let result = '';
+const engineModules = new Map();
 
-  for (const child of children) {
-    if (child.type === 'text') {
-      result += child.value;
-    } else if (child.type === 'element') {
-      // Reconstruct the HTML tag
-      const tagName = child.tagName;
-      const selfClosing = ['br', 'hr', 'img', 'input', 'meta', 'link'].includes(tagName);
+function loadEngineModule(engine) {
+  if (!engineModules.has(engine.module)) {
+    const specifier = isAbsolute(engine.module) ? pathToFileURL(engine.module).href : engine.module;
+    engineModules.set(engine.module, import(specifier));
+  }
+  return engineModules.get(engine.module);
+}
 
-      result += `<${tagName}`;
+/**
+ * Helper function to parse the meta string of a mermaid code fence
+ * e.g. ```mermaid theme=forest title="Request lifecycle" align=left
+ */
+function parseDiagramOptions(meta, file, logger) {
+  if (!meta) {
+    return {};
+  }
 
-      // Add attributes if any
-      if (child.properties) {
-        for (const [key, value] of Object.entries(child.properties)) {
-          if (key !== 'className') {
-            result += ` ${key}="${value}"`;
-          } else if (Array.isArray(value)) {
-            result += ` class="${value.join(' ')}"`;
-          }
-        }
-      }
+  const pattern = /([\w-]+)(?:=(?:"([^"]*)"|'([^']*)'|([^\s"']+)))?/g;
+  const entries = Array.from(meta.matchAll(pattern), ([, key, doubleQuoted, singleQuoted, bare]) => [
+    key,
+    doubleQuoted ?? singleQuoted ?? bare
+  ]);
+  return readDiagramOptions(entries, file, logger);
+}
 
-      if (selfClosing) {
-        result += '/>';
-      } else {
-        result += '>';
-        if (child.children && child.children.length > 0) {
-          result += serializeHastChildren(child.children);
+/**
+ * Helper function to turn key/value pairs from a fence meta string or directive
+ * attributes into diagram options. Flags without a value have an undefined value.
+ * Invalid values are reported and dropped so the diagram still renders
+ */
+function readDiagramOptions(entries, file, logger) {
+  const diagramOptions = {};
+
+  const warn = (message) => {
+    if (logger) {
+      logger.warn(`${message} in ${file.path || 'unknown file'}`);
+    }
+  };
+
+  for (const [key, value] of entries) {
+    switch (key) {
+      case 'theme':
+        if (MERMAID_THEMES.includes(value)) {
+          diagramOptions.theme = value;
+        } else {
+          warn(`Ignoring unknown mermaid theme "${value}"`);
         }
-        result += `</${tagName}>`;
-      }
+        break;
+      case 'title':
+        if (value) {
+          diagramOptions.title = value;
+        }
+        break;
+      case 'align':
+        if (ALIGNMENTS.includes(value)) {
+          diagramOptions.align = value;
+        } else {
+          warn(`Ignoring invalid diagram alignment "${value}"`);
+        }
+        break;
+      case 'source':
+      case 'viewer':
+      case 'toolbar':
+        if (value === undefined || value === 'true') {
+          diagramOptions[key] = true;
+        } else if (value === 'false') {
+          diagramOptions[key] = false;
+        } else {
+          warn(`Ignoring invalid diagram ${key} flag "${value}"`);
+        }
+        break;
+      case 'src':
+        if (value) {
+          diagramOptions.src = value;
+        } else {
+          warn('Ignoring empty diagram src');
+        }
+        break;
+      case 'config':
+        try {
+          const config = JSON.parse(value);
+          if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+            throw new Error('expected a JSON object');
+          }
+          diagramOptions.config = config;
+        } catch (error) {
+          warn(`Ignoring invalid diagram config '${value}' (${error.message})`);
+        }
+        break;
+      default:
+        warn(`Ignoring unknown mermaid fence option "${key}"`);
     }
   }
 
-  return result;
+  return diagramOptions;
 }
 
 /**
- * Rehype plugin to transform mermaid code blocks
- * Converts ```mermaid code blocks to <pre class="mermaid">
+ * Helper function to apply per-diagram theme and config overrides to a definition
+ * The init directive goes after any frontmatter block, which mermaid only accepts first.
+ * Shared with the client script, so it must stay self-contained.
  */
-function rehypeMermaidPlugin(options = {}) {
-  return async function transformer(tree, file) {
-    const { visit } = await import('unist-util-visit');
+function applyDiagramOverrides(definition, overrides) {
+  if (!overrides || Object.keys(overrides).length === 0) {
+    return definition;
+  }
+  const directive = '%%{init: ' + JSON.stringify(overrides) + '}%%\n';
+  const frontmatter = definition.match(/^\s*---\r?\n[\s\S]*?\r?\n---[ \t]*\r?\n/);
+  if (frontmatter) {
+    return frontmatter[0] + directive + definition.slice(frontmatter[0].length);
+  }
+  return directive + definition;
+}
 
-    let mermaidCount = 0;
+/**
+ * Helper function to collect the overrides mermaid needs for one diagram
+ */
+function diagramOverrides(diagramOptions) {
+  return {
+    ...diagramOptions.config,
+    ...(diagramOptions.theme ? { theme: diagramOptions.theme } : {})
+  };
+}
 
-    visit(tree, 'element', (node, index, parent) => {
-      // Look for <pre><code class="language-mermaid">
-      if (
-        node.tagName === 'pre' &&
-        node.children?.length === 1 &&
-        node.children[0].tagName === 'code'
-      ) {
-        const codeNode = node.children[0];
-        const className = codeNode.properties?.className;
+/**
+ * Helper function to build the data attributes carrying per-diagram options
+ */
+function diagramAttributes(diagramOptions) {
+  const attributes = {};
+  if (diagramOptions.theme) {
+    attributes['data-mermaid-theme'] = diagramOptions.theme;
+  }
+  if (diagramOptions.config) {
+    attributes['data-mermaid-config'] = JSON.stringify(diagramOptions.config);
+  }
+  if (diagramOptions.title) {
+    attributes['data-title'] = diagramOptions.title;
+  }
+  if (diagramOptions.align) {
+    attributes['data-align'] = diagramOptions.align;
+  }
+  if (diagramOptions.viewer !== undefined) {
+    attributes['data-viewer'] = String(diagramOptions.viewer);
+  }
+  if (diagramOptions.toolbar !== undefined) {
+    attributes['data-toolbar'] = String(diagramOptions.toolbar);
+  }
+  return attributes;
+}
 
-        if (Array.isArray(className) && className.includes('language-mermaid')) {
-          mermaidCount++;
-          // Get the mermaid diagram content, preserving HTML tags
-          const diagramContent = serializeHastChildren(codeNode.children || []);
+/**
+ * Helper function to derive a short key for a source file, stable across builds
+ */
+function sourceKey(path) {
+  return createHash('sha256').update(path).digest('hex').slice(0, 8);
+}
 
-          // Transform to <pre class="mermaid">
-          node.properties = {
-            ...node.properties,
-            className: ['mermaid']
-          };
+/**
+ * Helper function to derive a per-file id prefix, so diagrams from different pages never collide
+ */
+function diagramIdPrefix(file) {
+  return 'mermaid-' + sourceKey(file.path || 'unknown file');
+}
 
-          // Escape HTML to preserve it as text content
-          node.children = [{
-            type: 'text',
-            value: escapeHtml(diagramContent)
-          }];
+/**
+ * Helper function to derive a diagram's stable ID from a hash of its source
+ * The ID survives edits elsewhere on the page, so diagrams can be deep-linked.
+ * Repeats of the same diagram in one file get a numeric suffix.
+ */
+function diagramId(definition, usedIds = new Set()) {
+  const baseId = 'mermaid-' + createHash('sha256').update(definition).digest('hex').slice(0, 8);
+  let id = baseId;
+  for (let n = 2; usedIds.has(id); n++) {
+    id = `${baseId}-${n}`;
+  }
+  usedIds.add(id);
+  return id;
+}
 
-          if (options.logger) {
-            options.logger.info(`Rehype transformed mermaid block #${mermaidCount} in ${file.path || 'unknown file'}`);
-          }
-        }
-      }
-    });
+/**
+ * Helper function to read an external diagram referenced with `src`
+ * Paths resolve relative to the Markdown file referencing them. A missing file fails
+ * the build like any other missing import.
+ */
+async function loadDiagramFile(src, file, line) {
+  const baseDir = file.path ? dirname(file.path) : file.cwd || process.cwd();
+  const diagramPath = resolvePath(baseDir, src);
+  try {
+    const definition = await readFile(diagramPath, 'utf8');
+    return { diagramPath, definition: definition.trimEnd() };
+  } catch (error) {
+    const location = line ? `${file.path}:${line}` : file.path || 'unknown file';
+    throw new Error(`[astro-mermaid] Cannot read mermaid diagram "${src}" referenced at ${location}: ${error.message}`);
+  }
+}
 
-    if (mermaidCount > 0 && options.logger) {
-      options.logger.info(`Rehype total mermaid blocks transformed: ${mermaidCount}`);
+/**
+ * Helper function to swap inline definitions for the external files blocks reference
+ * The dev server is told about every file so editing it re-renders the page.
+ */
+async function loadExternalDiagrams(blocks, file, options) {
+  await Promise.all(blocks.map(async (block) => {
+    const { src } = block.diagramOptions;
+    if (!src) {
+      return;
     }
-  };
+
+    const line = block.node.position?.start.line;
+    if (block.definition.trim() && options.logger) {
+      options.logger.warn(`Ignoring inline content of mermaid block with src "${src}" at ${file.path || 'unknown file'}:${line}`);
+    }
+
+    const { diagramPath, definition } = await loadDiagramFile(src, file, line);
+    block.definition = definition;
+    block.sourceFile = diagramPath;
+    if (options.trackDiagramFile && file.path) {
+      options.trackDiagramFile(diagramPath, file.path);
+    }
+  }));
 }
 
+/**
+ * Helper function to locate the first line of a block's diagram, so dev error boxes
+ * can link to it. External diagrams start their own file, fences start below the
+ * opening fence line.
+ */
+function sourceLocation(block, file) {
+  if (block.sourceFile) {
+    return { file: block.sourceFile, line: 1 };
+  }
+  const line = block.node.position?.start.line;
+  return file.path && line ? { file: file.path, line: line + 1 } : null;
+}
 
 /**
- * Astro integration for rendering Mermaid diagrams
- * Supports automatic theme switching and client-side rendering
- *
- * @param {Object} options - Configuration options
- * @param {string} [options.theme='default'] - Default theme ('default', 'dark', 'forest', 'neutral')
- * @param {boolean} [options.autoTheme=true] - Enable automatic theme switching based on data-theme attribute
- * @param {Object} [options.mermaidConfig={}] - Additional mermaid configuration options
- * @returns {import('astro').AstroIntegration}
+ * Mermaid's diagram keywords mapped to the type names used in the build manifest
  */
-export default function astroMermaid(options = {}) {
-  const {
-    theme = 'default',
-    autoTheme = true,
-    mermaidConfig = {},
-    iconPacks = []
-  } = options;
+const DIAGRAM_TYPES = {
+  'graph': 'flowchart',
+  'flowchart': 'flowchart',
+  'flowchart-elk': 'flowchart',
+  'sequenceDiagram': 'sequence',
+  'classDiagram': 'class',
+  'classDiagram-v2': 'class',
+  'stateDiagram': 'state',
+  'stateDiagram-v2': 'state',
+  'erDiagram': 'er',
+  'journey': 'journey',
+  'gantt': 'gantt',
+  'pie': 'pie',
+  'quadrantChart': 'quadrant',
+  'requirementDiagram': 'requirement',
+  'gitGraph': 'gitGraph',
+  'mindmap': 'mindmap',
+  'timeline': 'timeline',
+  'zenuml': 'zenuml',
+  'sankey-beta': 'sankey',
+  'xychart-beta': 'xychart',
+  'block-beta': 'block',
+  'packet-beta': 'packet',
+  'architecture-beta': 'architecture',
+  'kanban': 'kanban',
+  'radar-beta': 'radar',
+  'C4Context': 'c4',
+  'C4Container': 'c4',
+  'C4Component': 'c4',
+  'C4Dynamic': 'c4',
+  'C4Deployment': 'c4'
+};
+
+/**
+ * Helper function to detect a diagram's type from its first keyword
+ * Frontmatter, init directives and comments above the keyword are skipped. Other
+ * engines report their own name.
+ */
+function diagramType(definition, engine = MERMAID_ENGINE) {
+  if (engine !== MERMAID_ENGINE) {
+    return engine.name;
+  }
+  const body = definition.replace(/^\s*---\r?\n[\s\S]*?\r?\n---\s*(\r?\n|$)/, '');
+  for (const line of body.split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('%%')) {
+      continue;
+    }
+    const keyword = trimmed.split(/[\s:;{]/)[0];
+    return DIAGRAM_TYPES[keyword] ?? keyword;
+  }
+  return 'unknown';
+}
 
+/**
+ * Helper function to describe one block for the build manifest
+ */
+function manifestEntry(block, valid) {
   return {
-    name: 'astro-mermaid',
-    hooks: {
-      'astro:config:setup': async ({ config, updateConfig, addWatchFile, injectScript, logger, command }) => {
-        logger.info('Setting up Mermaid integration');
+    id: block.id,
+    line: block.node.position?.start.line ?? null,
+    diagramFile: block.sourceFile ?? null,
+    engine: block.engine.name,
+    type: diagramType(block.definition, block.engine),
+    hash: createHash('sha256').update(block.definition).digest('hex'),
+    valid
+  };
+}
 
-        // Log existing rehype plugins
-        logger.info('Existing rehype plugins:', config.markdown?.rehypePlugins?.length || 0);
+/**
+ * Helper function to read the attributes of every diagram figure in a page
+ */
+function figureTags(html) {
+  const figures = [];
+  for (const [tag] of html.matchAll(/<figure\b[^>]*>/g)) {
+    const attributes = {};
+    for (const [, name, ...values] of tag.matchAll(/\s([^\s"'=<>\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g)) {
+      attributes[name.toLowerCase()] = values.find(value => value !== undefined) ?? '';
+    }
+    if ((attributes.class || '').split(/\s+/).includes('mermaid-figure') && attributes.id) {
+      figures.push(attributes);
+    }
+  }
+  return figures;
+}
 
-        // Always include mermaid.
-        const viteOptimizeDepsInclude = ['mermaid'];
+/**
+ * Helper function to find the pages of a build output that show each diagram
+ * Figures carry their source file's key next to the id, which only hashes the diagram,
+ * so a diagram shared by several files is listed under each file's own pages.
+ * Page paths come from Astro's list of built routes, honouring trailingSlash and build.format.
+ */
+async function diagramPages(dir, builtPages) {
+  const outDir = fileURLToPath(dir);
+  const pages = new Map();
 
-        // Update markdown config to use both remark and rehype plugins
-        updateConfig({
-          markdown: {
-            remarkPlugins: [
-              ...(config.markdown?.remarkPlugins || []),
-              [remarkMermaidPlugin, { logger }]
-            ],
-            rehypePlugins: [
-              ...(config.markdown?.rehypePlugins || []),
-              [rehypeMermaidPlugin, { logger }]
-            ]
-          },
-          vite: {
-            optimizeDeps: {
-              include: viteOptimizeDepsInclude
-            }
-          }
-        });
+  for (const { pathname } of builtPages) {
+    const candidates = pathname === '' || pathname.endsWith('/')
+      ? [`${pathname}index.html`]
+      : [`${pathname}.html`, `${pathname}/index.html`];
+    let html = null;
+    for (const candidate of candidates) {
+      try {
+        html = await readFile(resolvePath(outDir, candidate), 'utf8');
+        break;
+      } catch {
+        // Not this layout, or an endpoint such as rss.xml
+      }
+    }
+    if (html === null) {
+      continue;
+    }
 
-        // Serialize icon packs for client-side use
-        const iconPacksConfig = iconPacks.map(pack => ({
-          name: pack.name,
-          loader: pack.loader.toString()
-        }));
+    const page = '/' + pathname;
+    for (const { id, 'data-source': source } of figureTags(html)) {
+      const key = `${source ?? ''}:${id}`;
+      if (!pages.has(key)) {
+        pages.set(key, { id, pages: [] });
+      }
+      if (!pages.get(key).pages.includes(page)) {
+        pages.get(key).pages.push(page);
+      }
+    }
+  }
+  return pages;
+}
 
-        // Inject client-side mermaid script with conditional loading
-        const mermaidScriptContent = `
-// Check if page has mermaid diagrams
-const hasMermaidDiagrams = () => {
-  return document.querySelectorAll('pre.mermaid').length > 0;
-};
+/**
+ * Collects the diagrams of every Markdown file for mermaid-manifest.json. Astro's content
+ * layer skips unchanged entries on later builds, so each file's diagrams are kept in the
+ * cache directory and replaced once the file is transformed again.
+ */
+function createDiagramManifest(cacheFile) {
+  const files = new Map();
 
-// Only proceed if there are mermaid diagrams on the page
-if (hasMermaidDiagrams()) {
-  console.log('[astro-mermaid] Mermaid diagrams detected, loading mermaid.js...');
-  
-  // Dynamically import mermaid only when needed
-  import('mermaid').then(async ({ default: mermaid }) => {
-    // Register icon packs if provided
-    const iconPacks = ${JSON.stringify(iconPacksConfig)};
-    if (iconPacks && iconPacks.length > 0) {
-      console.log('[astro-mermaid] Registering', iconPacks.length, 'icon packs');
-      const packs = iconPacks.map(pack => ({
-        name: pack.name,
-        loader: new Function('return ' + pack.loader)()
-      }));
-      await mermaid.registerIconPacks(packs);
-    }
-
-    // Mermaid configuration
-    const defaultConfig = ${JSON.stringify({
-      startOnLoad: false,
-      theme: theme,
-      ...mermaidConfig
-    })};
-
-    // Theme mapping for auto-theme switching
-    const themeMap = {
-      'light': 'default',
-      'dark': 'dark',
-      'catppuccin-mocha': 'dark',
-      'catppuccin-latte': 'default',
-      'dracula': 'dark',
-      'gruvbox-dark-soft': 'dark',
-      'gruvbox-light-soft': 'default',
-      'one-dark-pro': 'dark',
-      'one-light': 'default',
-      'snazzy-light': 'default',
-      'solarized-light': 'default',
-      'synthwave-84': 'dark',
-    };
+  return {
+    record(sourceFile, diagrams) {
+      // The remark and rehype plugins both report a file, with the blocks each transformed
+      const recorded = files.get(sourceFile) || new Map();
+      for (const diagram of diagrams) {
+        recorded.set(diagram.id, diagram);
+      }
+      files.set(sourceFile, recorded);
+    },
 
-    // Initialize all mermaid diagrams
-    async function initMermaid() {
-      console.log('[astro-mermaid] Initializing mermaid diagrams...');
-      const diagrams = document.querySelectorAll('pre.mermaid');
-      
-      console.log('[astro-mermaid] Found', diagrams.length, 'mermaid diagrams');
-      
-      if (diagrams.length === 0) {
-        return;
+    async write(dir, builtPages, root, manifestFile) {
+      let cached = {};
+      try {
+        cached = JSON.parse(await readFile(cacheFile, 'utf8'));
+      } catch {
+        // First build, or the cache was cleared
       }
-      
-      // Get current theme from multiple sources
-      let currentTheme = defaultConfig.theme;
-      
-      if (${autoTheme}) {
-        // Check both html and body for data-theme attribute
-        const htmlTheme = document.documentElement.getAttribute('data-theme');
-        const bodyTheme = document.body.getAttribute('data-theme');
-        const dataTheme = htmlTheme || bodyTheme;
-        currentTheme = themeMap[dataTheme] || defaultConfig.theme;
-        console.log('[astro-mermaid] Using theme:', currentTheme, 'from', htmlTheme ? 'html' : 'body');
-      }
-      
-      // Configure mermaid with gitGraph support
-      mermaid.initialize({
-        ...defaultConfig,
-        theme: currentTheme,
-        gitGraph: {
-          mainBranchName: 'main',
-          showCommitLabel: true,
-          showBranches: true,
-          rotateCommitLabel: true
-        }
-      });
-      
-      // Render each diagram
-      for (const diagram of diagrams) {
-        // Skip if already processed
-        if (diagram.hasAttribute('data-processed')) continue;
-        
-        // Store original content
-        if (!diagram.hasAttribute('data-diagram')) {
-          diagram.setAttribute('data-diagram', diagram.textContent || '');
-        }
-        
-        const diagramDefinition = diagram.getAttribute('data-diagram') || '';
-        const id = 'mermaid-' + Math.random().toString(36).slice(2, 11);
-        
-        console.log('[astro-mermaid] Rendering diagram:', id);
-        
+      for (const [sourceFile, diagrams] of files) {
+        cached[sourceFile] = [...diagrams.values()];
+      }
+      // Forget files deleted since they were cached
+      for (const sourceFile of Object.keys(cached)) {
         try {
-          // Clear any existing error state
-          const existingGraph = document.getElementById(id);
-          if (existingGraph) {
-            existingGraph.remove();
-          }
-          
-          const { svg } = await mermaid.render(id, diagramDefinition);
-          diagram.innerHTML = svg;
-          diagram.setAttribute('data-processed', 'true');
-          console.log('[astro-mermaid] Successfully rendered diagram:', id);
-        } catch (error) {
-          console.error('[astro-mermaid] Mermaid rendering error for diagram:', id, error);
-          diagram.innerHTML = \`<div style="color: red; padding: 1rem; border: 1px solid red; border-radius: 0.5rem;">
-            <strong>Error rendering diagram:</strong><br/>
-            \${error.message || 'Unknown error'}
-          </div>\`;
-          diagram.setAttribute('data-processed', 'true');
+          await access(sourceFile);
+        } catch {
+          delete cached[sourceFile];
         }
       }
+      await mkdir(dirname(fileURLToPath(cacheFile)), { recursive: true });
+      await writeFile(cacheFile, JSON.stringify(cached));
+
+      const rootDir = fileURLToPath(root);
+      const toRoot = (path) => path && relative(rootDir, path).split(sep).join('/');
+      const pages = await diagramPages(dir, builtPages);
+      const recorded = new Set();
+      const diagrams = Object.keys(cached).sort().flatMap(sourceFile =>
+        cached[sourceFile].map(({ id, line, diagramFile, engine, type, hash, valid }) => {
+          const key = `${sourceKey(sourceFile)}:${id}`;
+          recorded.add(key);
+          return {
+            pages: pages.get(key)?.pages || [],
+            sourceFile: toRoot(sourceFile),
+            line,
+            diagramFile: toRoot(diagramFile),
+            engine,
+            type,
+            id,
+            hash,
+            valid
+          };
+        })
+      );
+
+      const types = {};
+      for (const { type } of diagrams) {
+        types[type] = (types[type] || 0) + 1;
+      }
+      const manifest = { diagrams, types };
+      await mkdir(dirname(fileURLToPath(manifestFile)), { recursive: true });
+      await writeFile(manifestFile, JSON.stringify(manifest, null, 2) + '\n');
+
+      // Figures no transform ever recorded, such as cached entries from before the manifest cache existed
+      const unrecorded = [...pages].filter(([key]) => !recorded.has(key)).map(([, { id }]) => id);
+      return { manifest, unrecorded };
     }
+  };
+}
 
-    // Initialize immediately since DOM is ready
-    initMermaid();
+/**
+ * Tracks the Markdown files inlining each external diagram, so the dev server can
+ * re-render them when a diagram file changes. addWatchFile is no use here: it restarts
+ * the whole server. Markdown pages and MDX modules are invalidated in Vite's module graph.
+ * Content collection entries have no module, and their loader skips a file whose content
+ * is unchanged, so they disappear and come back through the watcher to be re-rendered.
+ */
+function createDiagramFileWatcher() {
+  const dependents = new Map();
+  let server = null;
 
-    // Re-render on theme change if auto-theme is enabled
-    if (${autoTheme}) {
-      const observer = new MutationObserver((mutations) => {
-        for (const mutation of mutations) {
-          if (mutation.type === 'attributes' && mutation.attributeName === 'data-theme') {
-            // Reset processed state and re-render
-            document.querySelectorAll('pre.mermaid[data-processed]').forEach(diagram => {
-              diagram.removeAttribute('data-processed');
-            });
-            initMermaid();
+  return {
+    track(diagramPath, filePath) {
+      if (!dependents.has(diagramPath)) {
+        dependents.set(diagramPath, new Set());
+        if (server) {
+          server.watcher.add(diagramPath);
+        }
+      }
+      dependents.get(diagramPath).add(filePath);
+    },
+    vitePlugin: {
+      name: 'astro-mermaid:diagram-files',
+      configureServer(devServer) {
+        server = devServer;
+        server.watcher.add(Array.from(dependents.keys()));
+      },
+      handleHotUpdate({ file, server: devServer }) {
+        if (!dependents.has(file)) {
+          return;
+        }
+        const { moduleGraph, watcher } = devServer;
+        let invalidated = false;
+        for (const filePath of dependents.get(file)) {
+          const modules = moduleGraph.getModulesByFile(filePath);
+          if (modules?.size) {
+            for (const module of modules) {
+              moduleGraph.invalidateModule(module);
+            }
+            invalidated = true;
+          } else {
+            // Astro reloads the page itself once the content store has the new render
+            watcher.emit('unlink', filePath);
+            watcher.emit('add', filePath);
           }
         }
-      });
-      
-      // Observe both html and body for data-theme changes
-      observer.observe(document.documentElement, {
-        attributes: true,
-        attributeFilter: ['data-theme']
-      });
-      observer.observe(document.body, {
-        attributes: true,
-        attributeFilter: ['data-theme']
-      });
-    }
-
-    // Handle view transitions (for Astro View Transitions API)
-    document.addEventListener('astro:after-swap', () => {
-      // Check again if new page has diagrams
-      if (hasMermaidDiagrams()) {
-        initMermaid();
+        if (invalidated) {
+          devServer.ws.send({ type: 'full-reload' });
+        }
+        // The diagram file itself is no module, there is nothing else to update
+        return [];
       }
-    });
-  }).catch(error => {
-    console.error('[astro-mermaid] Failed to load mermaid:', error);
-  });
-} else {
-  console.log('[astro-mermaid] No mermaid diagrams found on this page, skipping mermaid.js load');
+    }
+  };
 }
-`;
-
-        injectScript('page', mermaidScriptContent);
 
-        // Add CSS to the page with layout shift prevention
-        injectScript('page', `
-          // Add CSS for mermaid diagrams
-          const style = document.createElement('style');
-          style.textContent = \`
-            /* Prevent layout shifts by setting minimum height */
-            pre.mermaid {
-              display: flex;
-              justify-content: center;
-              align-items: center;
-              margin: 2rem 0;
-              padding: 1rem;
-              background-color: transparent;
-              border: none;
-              overflow: auto;
-              min-height: 200px; /* Prevent layout shift */
-              position: relative;
-            }
-            
-            /* Loading state with skeleton loader */
-            pre.mermaid:not([data-processed]) {
-              background: linear-gradient(90deg, #f0f0f0 25%, #e0e0e0 50%, #f0f0f0 75%);
-              background-size: 200% 100%;
-              animation: shimmer 1.5s infinite;
-            }
-            
-            /* Dark mode skeleton loader */
-            [data-theme="dark"] pre.mermaid:not([data-processed]) {
-              background: linear-gradient(90deg, #2a2a2a 25%, #3a3a3a 50%, #2a2a2a 75%);
-              background-size: 200% 100%;
-            }
-            
-            @keyframes shimmer {
-              0% {
-                background-position: -200% 0;
-              }
-              100% {
-                background-position: 200% 0;
-              }
-            }
-            
-            /* Show processed diagrams with smooth transition */
-            pre.mermaid[data-processed] {
-              animation: none;
-              background: transparent;
-              min-height: auto; /* Allow natural height after render */
-            }
-            
-            /* Ensure responsive sizing for mermaid SVGs */
-            pre.mermaid svg {
-              max-width: 100%;
-              height: auto;
-            }
-            
-            /* Optional: Add subtle background for better visibility */
-            @media (prefers-color-scheme: dark) {
-              pre.mermaid[data-processed] {
-                background-color: rgba(255, 255, 255, 0.02);
-                border-radius: 0.5rem;
-              }
-            }
-            
-            @media (prefers-color-scheme: light) {
-              pre.mermaid[data-processed] {
-                background-color: rgba(0, 0, 0, 0.02);
-                border-radius: 0.5rem;
-              }
-            }
-            
-            /* Respect user's color scheme preference */
-            [data-theme="dark"] pre.mermaid[data-processed] {
-              background-color: rgba(255, 255, 255, 0.02);
-              border-radius: 0.5rem;
-            }
-            
-            [data-theme="light"] pre.mermaid[data-processed] {
-              background-color: rgba(0, 0, 0, 0.02);
-              border-radius: 0.5rem;
+/**
+ * Helper function to compute the figure's accessible name and description
+ * Combines the fence caption with mermaid's accTitle/accDescr elements.
+ * Shared with the client script, so it must stay self-contained.
+ */
+function figureAria(captionId, labelledBy, describedBy) {
+  const aria = {};
+  const label = [captionId, labelledBy].filter(Boolean).join(' ');
+  if (label) {
+    aria['aria-labelledby'] = label;
+  }
+  if (describedBy) {
+    aria['aria-describedby'] = describedBy;
+  }
+  return aria;
+}
+
+/**
+ * Helper function to tag the <style> elements mermaid embeds in its SVGs with a CSP nonce
+ * Shared with the client script, so it must stay self-contained.
+ */
+function addStyleNonce(svg, nonce) {
+  return nonce ? svg.replace(/<style(?=[\s>])/g, '<style nonce="' + nonce + '"') : svg;
+}
+
+/**
+ * Helper function to tag a dual-theme SVG with the theme family it was rendered for
+ * Shared with the client script, so it must stay self-contained.
+ */
+function addThemeFamily(svg, family) {
+  return svg.replace(/<svg\b/, '<svg data-mermaid-family="' + family + '"');
+}
+
+/**
+ * Helper function to build the stylesheet switching dual-theme SVGs with the page theme
+ * A data-theme belongs to the dark family when it maps to a dark mermaid theme. Pages
+ * without a data-theme, or with an unmapped one, show the default theme's family.
+ */
+function dualThemeCss(themeMap, defaultTheme, dualTheme) {
+  const family = (theme) => (theme === 'dark' || theme === dualTheme.dark ? 'dark' : 'light');
+  const shown = family(defaultTheme);
+  const hidden = shown === 'dark' ? 'light' : 'dark';
+  const switched = Object.keys(themeMap)
+    .filter(dataTheme => family(themeMap[dataTheme]) === hidden)
+    .map(dataTheme => `[data-theme=${JSON.stringify(dataTheme)}]`);
+
+  let css = `svg[data-mermaid-family="${hidden}"] {\n  display: none;\n}\n`;
+  if (switched.length > 0) {
+    const selector = `:is(${switched.join(', ')})`;
+    css += `\n${selector} svg[data-mermaid-family="${hidden}"] {\n  display: inline;\n}\n`;
+    css += `\n${selector} svg[data-mermaid-family="${shown}"] {\n  display: none;\n}\n`;
+  }
+  return css;
+}
+
+/**
+ * Helper function to read an attribute from the root element of an SVG string
+ */
+function svgRootAttribute(svg, name) {
+  const rootTag = svg.match(/^\s*<svg\b[^>]*>/);
+  const match = rootTag && rootTag[0].match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Helper function to describe the <figure> wrapping one diagram
+ * Shared by the remark and rehype plugins so both emit the same structure
+ */
+function describeFigure({ id, engine = MERMAID_ENGINE, definition, diagramOptions, svg, prerender, showSource, location, source }) {
+  const captionId = diagramOptions.title ? `${id}-caption` : null;
+  const figure = {
+    attributes: {
+      id,
+      ...(diagramOptions.align ? { 'data-align': diagramOptions.align } : {}),
+      // Ties the built figure back to its file for the build manifest
+      ...(source ? { 'data-source': source } : {})
+    },
+    preAttributes: {
+      ...(engine !== MERMAID_ENGINE ? { 'data-engine': engine.name } : {}),
+      ...diagramAttributes(diagramOptions),
+      ...(location ? { 'data-source-file': location.file, 'data-source-line': String(location.line) } : {})
+    },
+    svg: null,
+    caption: diagramOptions.title ? { id: captionId, text: diagramOptions.title } : null,
+    source: (diagramOptions.source ?? showSource) ? definition : null
+  };
+
+  if (svg) {
+    // Dual-theme diagrams come as one SVG per theme family, the stylesheet shows one of them
+    const variants = Array.isArray(svg) ? svg : [{ family: null, svg }];
+    Object.assign(figure.preAttributes, prerenderedAttributes(definition, diagramOptions, prerender, variants.length > 1));
+    const labelledBy = svgRootAttribute(variants[0].svg, 'aria-labelledby');
+    const describedBy = svgRootAttribute(variants[0].svg, 'aria-describedby');
+    figure.svg = variants.map((variant) => {
+      const familySvg = variant.family ? addThemeFamily(variant.svg, variant.family) : variant.svg;
+      // Without an accTitle the caption names the SVG itself
+      const labelledSvg = svgRootAttribute(familySvg, 'aria-labelledby') || !captionId
+        ? familySvg
+        : familySvg.replace(/<svg\b/, `<svg aria-labelledby="${captionId}"`);
+      return addStyleNonce(labelledSvg, prerender.nonce);
+    }).join('');
+    Object.assign(figure.attributes, figureAria(captionId, labelledBy, describedBy));
+  }
+
+  return figure;
+}
+
+/**
+ * Helper function to serialize attributes for an HTML string
+ */
+function attributesHtml(attributes) {
+  return Object.entries(attributes)
+    .map(([key, value]) => ` ${key}="${escapeHtml(value)}"`)
+    .join('');
+}
+
+/**
+ * Helper function to render a figure description as an HTML string for the remark plugin
+ */
+function figureHtml(figure, definition) {
+  let html = `<figure class="mermaid-figure"${attributesHtml(figure.attributes)}>`;
+  html += `<pre class="mermaid"${attributesHtml(figure.preAttributes)}>${figure.svg ?? escapeHtml(definition)}</pre>`;
+  if (figure.caption) {
+    html += `<figcaption id="${escapeHtml(figure.caption.id)}">${escapeHtml(figure.caption.text)}</figcaption>`;
+  }
+  if (figure.source !== null) {
+    html += `<details class="mermaid-source"><summary>View diagram source</summary><pre><code>${escapeHtml(figure.source)}</code></pre></details>`;
+  }
+  return html + '</figure>';
+}
+
+/**
+ * Helper function to render a figure description as HAST for the rehype plugin
+ * The pre element is updated in place so earlier properties survive
+ */
+function figureHast(figure, preNode, escapedDefinition) {
+  const textNode = (value) => ({ type: 'text', value });
+  const element = (tagName, properties, children) => ({ type: 'element', tagName, properties, children });
+
+  preNode.properties = {
+    ...preNode.properties,
+    className: ['mermaid'],
+    ...figure.preAttributes
+  };
+  // Raw node so pre-rendered SVG markup is emitted as-is
+  preNode.children = [figure.svg ? { type: 'raw', value: figure.svg } : textNode(escapedDefinition)];
+
+  const children = [preNode];
+  if (figure.caption) {
+    children.push(element('figcaption', { id: figure.caption.id }, [textNode(figure.caption.text)]));
+  }
+  if (figure.source !== null) {
+    children.push(element('details', { className: ['mermaid-source'] }, [
+      element('summary', {}, [textNode('View diagram source')]),
+      element('pre', {}, [element('code', {}, [textNode(figure.source)])])
+    ]));
+  }
+
+  return element('figure', { className: ['mermaid-figure'], ...figure.attributes }, children);
+}
+
+/**
+ * Headless renderer shared by every plugin invocation during a build.
+ * Created on first use so client-only setups never load playwright.
+ */
+let buildRendererPromise;
+
+function getBuildRenderer() {
+  if (!buildRendererPromise) {
+    buildRendererPromise = import('mermaid-isomorphic').then(({ createMermaidRenderer }) => createMermaidRenderer());
+  }
+  return buildRendererPromise;
+}
+
+/**
+ * Helper function to render diagrams to SVG during the build
+ * Resolves to one SVG string per diagram, or null for diagrams that must
+ * fall back to client-side rendering
+ */
+async function prerenderDiagrams(diagrams, prerender, file, logger, prefix = diagramIdPrefix(file)) {
+  const filePath = file.path || 'unknown file';
+
+  let results;
+  try {
+    const renderer = await getBuildRenderer();
+    results = await renderer(diagrams, {
+      prefix,
+      mermaidConfig: {
+        ...prerender.mermaidConfig,
+        theme: prerender.theme
+      }
+    });
+  } catch (error) {
+    if (logger) {
+      logger.warn(`Build-time rendering unavailable, falling back to client-side rendering in ${filePath}: ${error.message}`);
+    }
+    return diagrams.map(() => null);
+  }
+
+  return results.map((result, index) => {
+    if (result.status === 'fulfilled') {
+      return result.value.svg;
+    }
+    if (logger) {
+      logger.warn(`Failed to pre-render mermaid block #${index + 1} in ${filePath}: ${result.reason?.message || result.reason}`);
+    }
+    return null;
+  });
+}
+
+/**
+ * Helper function to render the blocks of one file to SVG during the build
+ * Mermaid blocks share one headless browser pass, other engines render each block
+ * through their module. Failed blocks come back as null and render on the client.
+ * With dualTheme each block renders once per theme family and comes back as a
+ * list of { family, svg }.
+ */
+async function prerenderBlocks(blocks, prerender, file, logger, prefix = diagramIdPrefix(file)) {
+  if (!prerender.dualTheme) {
+    return prerenderTheme(blocks, prerender, file, logger, prefix);
+  }
+
+  // Diagrams pinning their own theme look the same in both families and render once
+  const { light, dark } = prerender.dualTheme;
+  const lightSvgs = await prerenderTheme(blocks, { ...prerender, theme: light }, file, logger, prefix, 'light');
+  const switching = blocks
+    .map((block, index) => ({ block, index }))
+    .filter(({ block, index }) => !block.diagramOptions.theme && lightSvgs[index]);
+  const darkSvgs = await prerenderTheme(switching.map(({ block }) => block), { ...prerender, theme: dark }, file, logger, prefix, 'dark');
+
+  const svgs = [...lightSvgs];
+  switching.forEach(({ index }, i) => {
+    svgs[index] = darkSvgs[i]
+      ? [{ family: 'light', svg: lightSvgs[index] }, { family: 'dark', svg: darkSvgs[i] }]
+      : null;
+  });
+  return svgs;
+}
+
+/**
+ * Helper function to render blocks with one theme
+ * Dual-theme passes pass their family so the SVG ids of both passes never clash.
+ */
+async function prerenderTheme(blocks, prerender, file, logger, prefix, family) {
+  const filePath = file.path || 'unknown file';
+  const svgs = blocks.map(() => null);
+  const idSuffix = family ? `-${family}` : '';
+
+  const mermaidBlocks = blocks
+    .map((block, index) => ({ block, index }))
+    .filter(({ block }) => block.engine === MERMAID_ENGINE);
+  if (mermaidBlocks.length > 0) {
+    const rendered = await prerenderDiagrams(
+      mermaidBlocks.map(({ block }) => applyDiagramOverrides(block.definition, diagramOverrides(block.diagramOptions))),
+      prerender,
+      file,
+      logger,
+      `${prefix}${idSuffix}`
+    );
+    mermaidBlocks.forEach(({ index }, i) => {
+      svgs[index] = rendered[i];
+    });
+  }
+
+  for (const [index, { engine, definition, diagramOptions, id }] of blocks.entries()) {
+    if (engine === MERMAID_ENGINE) {
+      continue;
+    }
+    try {
+      const { render } = await loadEngineModule(engine);
+      svgs[index] = await render(definition, {
+        theme: diagramOptions.theme || prerender.theme,
+        config: diagramOptions.config || {},
+        id: `${id}-svg${idSuffix}`
+      });
+    } catch (error) {
+      if (logger) {
+        logger.warn(`Failed to pre-render ${engine.name} block #${index + 1} in ${filePath}: ${error.message}`);
+      }
+    }
+  }
+
+  return svgs;
+}
+
+/**
+ * Mermaid instance used to parse diagrams during the build.
+ * Loaded on first use so setups without validation never import mermaid in Node.
+ */
+let validatorPromise;
+let validationQueue = Promise.resolve();
+
+function getValidator() {
+  if (!validatorPromise) {
+    validatorPromise = Promise.all([
+      import('mermaid'),
+      // The DOMPurify instance mermaid itself imports, not whichever copy is hoisted
+      import(resolve('dompurify', resolve('mermaid', import.meta.url)))
+    ]).then(([{ default: mermaid }, { default: DOMPurify }]) => ({ mermaid, DOMPurify }));
+  }
+  return validatorPromise;
+}
+
+/**
+ * Helper function to parse one diagram in Node
+ * Mermaid sanitizes labels with DOMPurify even when only parsing, and DOMPurify has no
+ * DOM to work with outside the browser. Parsing never emits those labels, so
+ * pass-through stand-ins fill in for the missing methods while the parser runs.
+ */
+async function parseDiagram({ mermaid, DOMPurify }, definition) {
+  const stubs = DOMPurify.isSupported
+    ? {}
+    : { addHook: () => {}, removeHook: () => {}, removeAllHooks: () => {}, sanitize: (text) => text };
+  const originals = Object.fromEntries(Object.keys(stubs).map(name => [name, DOMPurify[name]]));
+
+  Object.assign(DOMPurify, stubs);
+  try {
+    await mermaid.parse(definition);
+  } finally {
+    Object.assign(DOMPurify, originals);
+  }
+}
+
+/**
+ * Helper function to check diagram syntax during the remark/rehype pass
+ * Every invalid diagram is reported with its file and fence line. In 'error' mode
+ * the plugin throws afterwards, which fails the build. Resolves to whether each diagram
+ * validated, null where no validator was available.
+ */
+async function validateDiagrams(diagrams, validate, file, logger) {
+  const filePath = file.path || 'unknown file';
+
+  let validator = null;
+  if (diagrams.some(({ engine = MERMAID_ENGINE }) => engine === MERMAID_ENGINE)) {
+    try {
+      validator = await getValidator();
+    } catch (error) {
+      if (logger) {
+        logger.warn(`Diagram validation unavailable in ${filePath}: ${error.message}`);
+      }
+    }
+  }
+
+  // mermaid.parse keeps per-diagram state in globals, so files are validated one at a time
+  const valid = diagrams.map(() => null);
+  const failures = [];
+  const failedEngines = new Set();
+  const run = validationQueue.then(async () => {
+    for (const [index, { definition, line, engine = MERMAID_ENGINE }] of diagrams.entries()) {
+      let check = null;
+      if (engine === MERMAID_ENGINE) {
+        check = validator && (() => parseDiagram(validator, definition));
+      } else {
+        try {
+          const { validate: validateDefinition } = await loadEngineModule(engine);
+          check = validateDefinition && (() => validateDefinition(definition));
+        } catch (error) {
+          if (logger) {
+            logger.warn(`Diagram validation unavailable for ${engine.name} in ${filePath}: ${error.message}`);
+          }
+        }
+      }
+      if (!check) {
+        continue;
+      }
+
+      try {
+        await check();
+        valid[index] = true;
+      } catch (error) {
+        valid[index] = false;
+        const location = line ? `${filePath}:${line}` : filePath;
+        failures.push(`Invalid ${engine.name} block #${index + 1} at ${location}: ${error?.message || error}`);
+        failedEngines.add(engine.name);
+      }
+    }
+  });
+  validationQueue = run.catch(() => {});
+  await run;
+
+  if (logger) {
+    for (const failure of failures) {
+      logger[validate === 'error' ? 'error' : 'warn'](failure);
+    }
+  }
+  if (validate === 'error' && failures.length > 0) {
+    throw new Error(`[astro-mermaid] ${failures.length} invalid ${[...failedEngines].join(' and ')} diagram${failures.length === 1 ? '' : 's'} in ${filePath}:\n${failures.join('\n')}`);
+  }
+  return valid;
+}
+
+/**
+ * Helper function to build the attributes of a pre-rendered diagram
+ * Hybrid mode keeps the source around so the client can re-render it on theme changes,
+ * build mode only when the toolbar needs it for copying
+ */
+function prerenderedAttributes(definition, diagramOptions, prerender, dual) {
+  const attributes = {
+    'data-processed': 'true',
+    'data-prerendered': dual
+      ? `${prerender.dualTheme.light} ${prerender.dualTheme.dark}`
+      : diagramOptions.theme || prerender.theme
+  };
+  const copySource = prerender.copySource && (diagramOptions.toolbar ?? prerender.toolbar);
+  if (prerender.mode === 'hybrid' || copySource) {
+    attributes['data-diagram'] = definition;
+  }
+  return attributes;
+}
+
+/**
+ * Remark plugin to transform mermaid code blocks at the markdown level
+ */
+export function remarkMermaidPlugin(options = {}) {
+  const engines = createEngineRegistry(options.engines);
+
+  return async function transformer(tree, file) {
+    const { visit } = await import('unist-util-visit');
+
+    const blocks = [];
+
+    visit(tree, (node, index, parent) => {
+      if (!parent || typeof index !== 'number') {
+        return;
+      }
+
+      if (node.type === 'code' && engines.has(node.lang)) {
+        const diagramOptions = parseDiagramOptions(node.meta, file, options.logger);
+        blocks.push({ node, index, parent, engine: engines.get(node.lang), diagramOptions, definition: node.value });
+      } else if (node.type === 'leafDirective' && node.name === 'mermaid') {
+        // ::mermaid{src="./diagram.mmd" title="Flow"}, bare attributes are flags
+        const entries = Object.entries(node.attributes || {}).map(([key, value]) => [key, value || undefined]);
+        const diagramOptions = readDiagramOptions(entries, file, options.logger);
+        if (!diagramOptions.src) {
+          if (options.logger) {
+            options.logger.warn(`Ignoring ::mermaid directive without a src attribute in ${file.path || 'unknown file'}`);
+          }
+          return;
+        }
+        blocks.push({ node, index, parent, engine: MERMAID_ENGINE, diagramOptions, definition: '' });
+      }
+    });
+
+    await loadExternalDiagrams(blocks, file, options);
+
+    const valid = options.validate && options.validate !== 'off' && blocks.length > 0
+      ? await validateDiagrams(
+          blocks.map(({ node, definition, engine }) => ({ definition, line: node.position?.start.line, engine })),
+          options.validate,
+          file,
+          options.logger
+        )
+      : blocks.map(() => null);
+
+    const usedIds = new Set();
+    for (const block of blocks) {
+      block.id = diagramId(block.definition, usedIds);
+    }
+
+    if (options.manifest && file.path) {
+      options.manifest.record(file.path, blocks.map((block, i) => manifestEntry(block, valid[i])));
+    }
+
+    const svgs = options.prerender && blocks.length > 0
+      ? await prerenderBlocks(blocks, options.prerender, file, options.logger)
+      : [];
+
+    blocks.forEach((block, i) => {
+      const { index, parent, id, engine, diagramOptions, definition } = block;
+      const mermaidCount = i + 1;
+      const figure = describeFigure({
+        id,
+        engine,
+        definition,
+        diagramOptions,
+        svg: svgs[i],
+        prerender: options.prerender,
+        showSource: options.showSource,
+        location: options.sourceLocations ? sourceLocation(block, file) : null,
+        source: options.manifest && file.path ? sourceKey(file.path) : null
+      });
+
+      // Transform to html node with figure > pre.mermaid, escaping HTML content
+      const htmlNode = {
+        type: 'html',
+        value: figureHtml(figure, definition)
+      };
+
+      // Replace the code node with html node
+      parent.children[index] = htmlNode;
+
+      if (options.logger) {
+        options.logger.info(`Remark transformed mermaid block #${mermaidCount} in ${file.path || 'unknown file'}`);
+      }
+    });
+
+    if (blocks.length > 0 && options.logger) {
+      options.logger.info(`Remark total mermaid blocks transformed: ${blocks.length}`);
+    }
+  };
+}
+
+/**
+ * Helper function to serialize HAST nodes back to HTML text
+ * This preserves HTML tags within the mermaid content
+ */
+function serializeHastChildren(children) {
+  let result = '';
+
+  for (const child of children) {
+    if (child.type === 'text') {
+      result += child.value;
+    } else if (child.type === 'element') {
+      // Reconstruct the HTML tag
+      const tagName = child.tagName;
+      const selfClosing = ['br', 'hr', 'img', 'input', 'meta', 'link'].includes(tagName);
+
+      result += `<${tagName}`;
+
+      // Add attributes if any
+      if (child.properties) {
+        for (const [key, value] of Object.entries(child.properties)) {
+          if (key !== 'className') {
+            result += ` ${key}="${value}"`;
+          } else if (Array.isArray(value)) {
+            result += ` class="${value.join(' ')}"`;
+          }
+        }
+      }
+
+      if (selfClosing) {
+        result += '/>';
+      } else {
+        result += '>';
+        if (child.children && child.children.length > 0) {
+          result += serializeHastChildren(child.children);
+        }
+        result += `</${tagName}>`;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Rehype plugin to transform mermaid code blocks
+ * Converts ```mermaid code blocks to <pre class="mermaid">
+ */
+export function rehypeMermaidPlugin(options = {}) {
+  const engines = createEngineRegistry(options.engines);
+
+  return async function transformer(tree, file) {
+    const { visit } = await import('unist-util-visit');
+
+    const blocks = [];
+
+    visit(tree, 'element', (node, index, parent) => {
+      // Look for <pre><code class="language-mermaid"> or another registered language
+      if (
+        node.tagName === 'pre' &&
+        node.children?.length === 1 &&
+        node.children[0].tagName === 'code'
+      ) {
+        const codeNode = node.children[0];
+        const className = codeNode.properties?.className;
+        const language = Array.isArray(className)
+          ? className.find(name => String(name).startsWith('language-'))?.slice('language-'.length)
+          : undefined;
+
+        if (engines.has(language)) {
+          // remark-rehype keeps the fence meta on data, MDX exposes it as metastring
+          const meta = codeNode.data?.meta ?? codeNode.properties?.metastring;
+          blocks.push({
+            node,
+            index,
+            parent,
+            engine: engines.get(language),
+            // Get the mermaid diagram content, preserving HTML tags
+            definition: serializeHastChildren(codeNode.children || []),
+            diagramOptions: parseDiagramOptions(meta, file, options.logger)
+          });
+        }
+      }
+    });
+
+    await loadExternalDiagrams(blocks, file, options);
+
+    const valid = options.validate && options.validate !== 'off' && blocks.length > 0
+      ? await validateDiagrams(
+          blocks.map(({ node, definition, engine }) => ({ definition, line: node.position?.start.line, engine })),
+          options.validate,
+          file,
+          options.logger
+        )
+      : blocks.map(() => null);
+
+    const usedIds = new Set();
+    for (const block of blocks) {
+      block.id = diagramId(block.definition, usedIds);
+    }
+
+    if (options.manifest && file.path) {
+      options.manifest.record(file.path, blocks.map((block, i) => manifestEntry(block, valid[i])));
+    }
+
+    const svgs = options.prerender && blocks.length > 0
+      ? await prerenderBlocks(blocks, options.prerender, file, options.logger)
+      : [];
+
+    blocks.forEach((block, i) => {
+      const { node, index, parent, id, engine, definition, diagramOptions } = block;
+      const mermaidCount = i + 1;
+      const figure = describeFigure({
+        id,
+        engine,
+        definition,
+        diagramOptions,
+        svg: svgs[i],
+        prerender: options.prerender,
+        showSource: options.showSource,
+        location: options.sourceLocations ? sourceLocation(block, file) : null,
+        source: options.manifest && file.path ? sourceKey(file.path) : null
+      });
+
+      // Transform to <figure><pre class="mermaid">, escaping HTML to preserve it as text content
+      const figureNode = figureHast(figure, node, escapeHtml(definition));
+      if (parent && typeof index === 'number') {
+        parent.children[index] = figureNode;
+      }
+
+      if (options.logger) {
+        options.logger.info(`Rehype transformed mermaid block #${mermaidCount} in ${file.path || 'unknown file'}`);
+      }
+    });
+
+    if (blocks.length > 0 && options.logger) {
+      options.logger.info(`Rehype total mermaid blocks transformed: ${blocks.length}`);
+    }
+  };
+}
+
+/**
+ * Render a single diagram to the same <figure> markup the remark plugin emits
+ * Backs the <Mermaid> component, which passes the integration's options along
+ */
+export async function renderMermaidFigure(definition, diagramOptions = {}, options = {}) {
+  const file = { path: options.filePath };
+  // Components render in isolation, so repeating a diagram on one page needs an explicit id
+  const id = options.id ?? diagramId(definition);
+
+  if (options.validate && options.validate !== 'off') {
+    await validateDiagrams([{ definition }], options.validate, file, options.logger);
+  }
+
+  const [svg] = options.prerender
+    ? await prerenderBlocks([{ engine: MERMAID_ENGINE, definition, diagramOptions, id }], options.prerender, file, options.logger, id)
+    : [];
+
+  const figure = describeFigure({
+    id,
+    definition,
+    diagramOptions,
+    svg,
+    prerender: options.prerender,
+    showSource: options.showSource
+  });
+  return figureHtml(figure, definition);
+}
+
+/**
+ * Virtual module handing the integration's options and logger to the <Mermaid> component,
+ * which is loaded by Vite separately from the Astro config
+ */
+function componentConfigPlugin(componentOptions, loggerId) {
+  const virtualModuleId = 'virtual:astro-mermaid/config';
+  const resolvedVirtualModuleId = '\0' + virtualModuleId;
+  const logger = `globalThis[Symbol.for(${JSON.stringify(COMPONENT_LOGGERS.description)})]?.get(${JSON.stringify(loggerId)})`;
+
+  return {
+    name: 'astro-mermaid:config',
+    resolveId(id) {
+      if (id === virtualModuleId) {
+        return resolvedVirtualModuleId;
+      }
+    },
+    load(id) {
+      if (id === resolvedVirtualModuleId) {
+        return `export default { ...${JSON.stringify(componentOptions)}, logger: ${logger} };`;
+      }
+    }
+  };
+}
+
+/**
+ * Passes each <Mermaid> the file using it, so validation messages point at the source
+ * instead of the page URL. Compiled .astro and MDX modules both render the component
+ * with a props object following it, which gets a `callerFile` prop added.
+ */
+function componentCallerPlugin() {
+  const componentPath = resolvePath(dirname(fileURLToPath(import.meta.url)), 'Mermaid.astro');
+
+  return {
+    name: 'astro-mermaid:component-caller',
+    async transform(code, id) {
+      const [file, query] = id.split('?');
+      if (query || !/\.(astro|mdx)$/.test(file) || !code.includes('Mermaid.astro')) {
+        return;
+      }
+
+      const imports = this.parse(code).body.filter(node => node.type === 'ImportDeclaration');
+      const names = [];
+      for (const node of imports) {
+        const resolved = await this.resolve(node.source.value, id);
+        const component = node.specifiers.find(specifier => specifier.type === 'ImportDefaultSpecifier');
+        if (component && resolved?.id.split('?')[0] === componentPath) {
+          names.push(component.local.name.replace(/\$/g, '\\$'));
+        }
+      }
+      if (names.length === 0) {
+        return;
+      }
+
+      // Only rendering calls follow the imports, where the component comes right before its props
+      const bodyStart = imports.at(-1).end;
+      const call = new RegExp(`(?<![\\w$.])(?:${names.join('|')})\\s*,\\s*\\{`, 'g');
+      const body = code.slice(bodyStart).replace(call, match => `${match}"callerFile":${JSON.stringify(file)},`);
+      return { code: code.slice(0, bodyStart) + body, map: null };
+    }
+  };
+}
+
+/**
+ * Helper function to load an icon pack's Iconify JSON during the build
+ * Packs come inline (`icons`), from an installed package such as `@iconify-json/logos`,
+ * or from a `loader` that now runs in Node instead of being re-created in the browser.
+ */
+async function loadIconPack(pack, root) {
+  try {
+    if (pack.icons) {
+      return pack.icons;
+    }
+    if (pack.package) {
+      return JSON.parse(await readFile(new URL(resolve(`${pack.package}/icons.json`, root.href)), 'utf8'));
+    }
+    return await pack.loader();
+  } catch (error) {
+    throw new Error(`[astro-mermaid] Cannot load icon pack "${pack.name}": ${error.message}`);
+  }
+}
+
+/**
+ * Virtual modules serving icon packs as static chunks, so the client never evaluates
+ * serialized code. Each pack is its own chunk and mermaid only fetches the ones
+ * a diagram actually uses.
+ */
+function iconPacksPlugin(iconPacks, root) {
+  const virtualModuleId = 'virtual:astro-mermaid/icon-packs';
+  const resolvedVirtualModuleId = '\0' + virtualModuleId;
+
+  return {
+    name: 'astro-mermaid:icon-packs',
+    resolveId(id) {
+      if (id === virtualModuleId || id.startsWith(`${virtualModuleId}/`)) {
+        return '\0' + id;
+      }
+    },
+    async load(id) {
+      if (id === resolvedVirtualModuleId) {
+        const packs = iconPacks.map((pack, index) =>
+          `{ name: ${JSON.stringify(pack.name)}, loader: () => import('${virtualModuleId}/${index}').then((module) => module.default) }`
+        );
+        return `export default [${packs.join(', ')}];`;
+      }
+      if (id.startsWith(`${resolvedVirtualModuleId}/`)) {
+        const pack = iconPacks[Number(id.slice(resolvedVirtualModuleId.length + 1))];
+        return `export default ${JSON.stringify(await loadIconPack(pack, root))};`;
+      }
+    }
+  };
+}
+
+/**
+ * Virtual stylesheet showing the dual-theme SVG that matches the page's data-theme
+ */
+function dualThemePlugin(css) {
+  const virtualModuleId = 'virtual:astro-mermaid/dual-theme.css';
+  const resolvedVirtualModuleId = '\0' + virtualModuleId;
+
+  return {
+    name: 'astro-mermaid:dual-theme',
+    resolveId(id) {
+      if (id === virtualModuleId) {
+        return resolvedVirtualModuleId;
+      }
+    },
+    load(id) {
+      if (id === resolvedVirtualModuleId) {
+        return css;
+      }
+    }
+  };
+}
+
+/**
+ * Helper function to layer the per-diagram-type defaults under mermaidConfig
+ * Sections merge key by key, so setting one gitGraph option in mermaidConfig keeps
+ * the other defaults. A diagramDefaults entry of false drops the built-in section.
+ */
+function mergeDiagramDefaults(mermaidConfig, diagramDefaults) {
+  const merged = { ...mermaidConfig };
+  for (const type of new Set([...Object.keys(DEFAULT_DIAGRAM_DEFAULTS), ...Object.keys(diagramDefaults)])) {
+    if (diagramDefaults[type] === false) {
+      continue;
+    }
+    merged[type] = { ...DEFAULT_DIAGRAM_DEFAULTS[type], ...diagramDefaults[type], ...mermaidConfig[type] };
+  }
+  return merged;
+}
+
+/**
+ * Helper function to tell a URL from a module specifier in mermaidSource and layoutLoaders
+ * URLs are fetched by the browser as they are, specifiers are bundled by Vite.
+ */
+function isUrlSource(source) {
+  return /^(?:[a-z][a-z0-9+.-]*:)?\/\//i.test(source) || source.startsWith('/');
+}
+
+/**
+ * Helper function to write the client script's dynamic import of mermaidSource or a layout loader
+ * URLs go through importUrl, whose non-literal import Vite leaves to the browser.
+ */
+function clientImport(source) {
+  return isUrlSource(source) ? `importUrl(${JSON.stringify(source)})` : `import('${source}')`;
+}
+
+/**
+ * Helper function to read the installed mermaid version
+ * Part of the client render cache key, so upgrading mermaid discards old SVGs
+ */
+async function getMermaidVersion() {
+  try {
+    const packageUrl = new URL('../package.json', resolve('mermaid', import.meta.url));
+    return JSON.parse(await readFile(packageUrl, 'utf8')).version;
+  } catch {
+    return 'unknown';
+  }
+}
+
+/**
+ * Astro integration for rendering Mermaid diagrams
+ * Supports automatic theme switching and client-side rendering
+ *
+ * @param {Object} options - Configuration options
+ * @param {string} [options.theme='default'] - Default theme ('default', 'dark', 'forest', 'neutral')
+ * @param {boolean} [options.autoTheme=true] - Enable automatic theme switching based on data-theme attribute
+ * @param {Object} [options.mermaidConfig={}] - Additional mermaid configuration options
+ * @param {Array<Object>} [options.iconPacks=[]] - Icon packs resolved at build time from `icons`, `package` or `loader`
+ * @param {string} [options.renderMode='client'] - Where diagrams are rendered ('client', 'build', 'hybrid')
+ * @param {Object} [options.themeMap={}] - Additional data-theme to mermaid theme mappings
+ * @param {boolean|Object} [options.autoThemeVariables=false] - Derive mermaid themeVariables from CSS custom properties
+ * @param {boolean} [options.lazy=true] - Render diagrams only as they approach the viewport
+ * @param {string} [options.rootMargin='200px 0px'] - IntersectionObserver root margin used by lazy rendering
+ * @param {boolean} [options.showSource=false] - Add a collapsible "View diagram source" block below each diagram
+ * @param {boolean} [options.viewer=false] - Add pan, zoom and fullscreen controls to rendered diagrams
+ * @param {boolean|Object} [options.toolbar=false] - Add copy source and SVG/PNG download buttons below each diagram
+ * @param {string} [options.validate='off'] - Check diagram syntax at build time ('off', 'warn', 'error')
+ * @param {string} [options.nonce] - CSP nonce added to the <style> elements inside diagram SVGs, their style attributes need style-src-attr 'unsafe-inline'
+ * @param {Array<Object>} [options.engines=[]] - Diagram engines besides mermaid, such as graphviz()
+ * @param {boolean|Object} [options.dualTheme=false] - Render a light and a dark SVG per diagram and switch them with CSS
+ * @param {string} [options.errorFallback='source'] - What production pages show for diagrams that fail to render ('source', 'message', 'hide')
+ * @param {boolean|string} [options.manifest=true] - Write a manifest listing every Markdown diagram after the build, to .astro/mermaid-manifest.json or the given path relative to the project root
+ * @param {Object} [options.diagramDefaults={}] - Mermaid config sections per diagram type, merged under mermaidConfig
+ * @param {Array<string>} [options.layoutLoaders=[]] - Modules whose default export is passed to mermaid.registerLayoutLoaders
+ * @param {string} [options.mermaidSource='mermaid'] - Module specifier or URL the client loads mermaid from
+ * @returns {import('astro').AstroIntegration}
+ */
+export default function astroMermaid(options = {}) {
+  const {
+    theme = 'default',
+    autoTheme = true,
+    mermaidConfig = {},
+    iconPacks = [],
+    renderMode = 'client',
+    themeMap = {},
+    autoThemeVariables = false,
+    lazy = true,
+    rootMargin = '200px 0px',
+    showSource = false,
+    viewer = false,
+    toolbar = false,
+    validate = 'off',
+    nonce,
+    engines = [],
+    dualTheme = false,
+    errorFallback = 'source',
+    manifest = true,
+    diagramDefaults = {},
+    layoutLoaders = [],
+    mermaidSource = 'mermaid'
+  } = options;
+
+  if (!['client', 'build', 'hybrid'].includes(renderMode)) {
+    throw new Error(`[astro-mermaid] Invalid renderMode "${renderMode}", expected 'client', 'build' or 'hybrid'`);
+  }
+
+  if (!['off', 'warn', 'error'].includes(validate)) {
+    throw new Error(`[astro-mermaid] Invalid validate "${validate}", expected 'off', 'warn' or 'error'`);
+  }
+
+  if (!['source', 'message', 'hide'].includes(errorFallback)) {
+    throw new Error(`[astro-mermaid] Invalid errorFallback "${errorFallback}", expected 'source', 'message' or 'hide'`);
+  }
+
+  for (const [type, defaults] of Object.entries(diagramDefaults)) {
+    if (defaults !== false && (typeof defaults !== 'object' || defaults === null || Array.isArray(defaults))) {
+      throw new Error(`[astro-mermaid] Invalid diagramDefaults for "${type}", expected an object or false`);
+    }
+  }
+  const resolvedMermaidConfig = mergeDiagramDefaults(mermaidConfig, diagramDefaults);
+
+  // Both end up as string literals in the client script
+  const isModuleSource = (source) => typeof source === 'string' && /^[^\s'"`\\]+$/.test(source);
+  if (!isModuleSource(mermaidSource)) {
+    throw new Error(`[astro-mermaid] Invalid mermaidSource "${mermaidSource}", expected a module specifier or URL`);
+  }
+  const invalidLoader = layoutLoaders.find(loader => !isModuleSource(loader));
+  if (invalidLoader !== undefined) {
+    throw new Error(`[astro-mermaid] Invalid layout loader "${invalidLoader}", expected a module specifier or URL`);
+  }
+
+  const toolbarConfig = {
+    items: TOOLBAR_ITEMS,
+    pngScale: 2,
+    ...(typeof toolbar === 'object' ? toolbar : {})
+  };
+  const invalidItem = toolbarConfig.items.find(item => !TOOLBAR_ITEMS.includes(item));
+  if (invalidItem !== undefined) {
+    throw new Error(`[astro-mermaid] Invalid toolbar item "${invalidItem}", expected 'copy', 'svg' or 'png'`);
+  }
+  if (!(toolbarConfig.pngScale > 0)) {
+    throw new Error(`[astro-mermaid] Invalid toolbar pngScale "${toolbarConfig.pngScale}", expected a positive number`);
+  }
+
+  for (const pack of iconPacks) {
+    const sources = ['icons', 'package', 'loader'].filter(source => pack[source]);
+    if (typeof pack.name !== 'string' || sources.length !== 1) {
+      throw new Error(`[astro-mermaid] Invalid icon pack "${pack.name}", expected a name and one of 'icons', 'package' or 'loader'`);
+    }
+  }
+
+  // Fails early on malformed engines and fence languages claimed twice
+  createEngineRegistry(engines);
+
+  if (nonce !== undefined && !/^[A-Za-z0-9+/_=-]+$/.test(nonce)) {
+    throw new Error(`[astro-mermaid] Invalid nonce "${nonce}", expected a base64 string`);
+  }
+
+  const dualThemes = dualTheme
+    ? { light: 'default', dark: 'dark', ...(typeof dualTheme === 'object' ? dualTheme : {}) }
+    : null;
+  for (const [family, familyTheme] of Object.entries(dualThemes || {})) {
+    if (!MERMAID_THEMES.includes(familyTheme)) {
+      throw new Error(`[astro-mermaid] Invalid dualTheme ${family} theme "${familyTheme}", expected one of ${MERMAID_THEMES.join(', ')}`);
+    }
+  }
+
+  // Filled during `astro build` and written once the pages are on disk
+  let diagramManifest = null;
+  let manifestFile = null;
+  let projectRoot = null;
+  // Where this instance's <Mermaid> components find its logger
+  const loggerId = randomUUID();
+
+  return {
+    name: 'astro-mermaid',
+    hooks: {
+      'astro:config:setup': async ({ config, updateConfig, addWatchFile, injectScript, logger, command }) => {
+        logger.info('Setting up Mermaid integration');
+
+        // Log existing rehype plugins
+        logger.info('Existing rehype plugins:', config.markdown?.rehypePlugins?.length || 0);
+
+        // Pre-bundle every module the client script imports, URLs are left to the browser
+        const viteOptimizeDepsInclude = [mermaidSource, ...layoutLoaders].filter(source => !isUrlSource(source));
+
+        // Pre-render during `astro build` only, the dev server keeps rendering on the client
+        const prerender = renderMode !== 'client' && command === 'build'
+          ? {
+              mode: renderMode,
+              theme,
+              mermaidConfig: resolvedMermaidConfig,
+              // The toolbar's copy button reads the source from data-diagram
+              toolbar: Boolean(toolbar),
+              copySource: toolbarConfig.items.includes('copy'),
+              nonce,
+              dualTheme: dualThemes
             }
-          \`;
-          document.head.appendChild(style);
-        `);
+          : null;
+
+        diagramManifest = manifest && command === 'build'
+          ? createDiagramManifest(new URL('astro-mermaid/diagrams.json', config.cacheDir ?? new URL('node_modules/.astro/', config.root)))
+          : null;
+        // Kept out of the build output, the manifest lists source paths that should not be deployed
+        manifestFile = new URL(typeof manifest === 'string' ? manifest : '.astro/mermaid-manifest.json', config.root);
+        projectRoot = config.root;
+
+        // Re-render pages in `astro dev` when a diagram file they reference changes
+        const diagramFileWatcher = command === 'dev' ? createDiagramFileWatcher() : null;
+        const pluginOptions = {
+          logger,
+          prerender,
+          showSource,
+          validate,
+          engines,
+          // Dev error boxes link back to the diagram's file and line
+          sourceLocations: command === 'dev',
+          manifest: diagramManifest,
+          trackDiagramFile: diagramFileWatcher?.track
+        };
+
+        const resolvedThemeMap = { ...DEFAULT_THEME_MAP, ...themeMap };
+
+        // Read back by the <Mermaid> component through the virtual config module
+        globalThis[COMPONENT_LOGGERS] ??= new Map();
+        globalThis[COMPONENT_LOGGERS].set(loggerId, logger);
+
+        // Update markdown config to use both remark and rehype plugins
+        updateConfig({
+          markdown: {
+            remarkPlugins: [
+              ...(config.markdown?.remarkPlugins || []),
+              [remarkMermaidPlugin, pluginOptions]
+            ],
+            rehypePlugins: [
+              ...(config.markdown?.rehypePlugins || []),
+              [rehypeMermaidPlugin, pluginOptions]
+            ]
+          },
+          vite: {
+            optimizeDeps: {
+              include: viteOptimizeDepsInclude
+            },
+            plugins: [
+              componentConfigPlugin({ prerender, showSource, validate }, loggerId),
+              componentCallerPlugin(),
+              iconPacksPlugin(iconPacks, config.root),
+              ...(dualThemes ? [dualThemePlugin(dualThemeCss(resolvedThemeMap, theme, dualThemes))] : []),
+              ...(diagramFileWatcher ? [diagramFileWatcher.vitePlugin] : [])
+            ]
+          }
+        });
+
+        // mermaid-isomorphic renders with its own mermaid bundle, which knows only the built-in layouts
+        if (layoutLoaders.length > 0 && prerender) {
+          logger.warn('Build-time rendering ignores layoutLoaders, diagrams using those layouts are pre-rendered with dagre');
+        }
+
+        // Page colors are only known in the browser, so dual-theme SVGs stick to the themes they were rendered with
+        if (dualThemes && autoThemeVariables) {
+          logger.warn('autoThemeVariables is ignored when dualTheme is enabled');
+        }
+        const themeVariablesConfig = autoThemeVariables && !dualThemes
+          ? { ...DEFAULT_THEME_VARIABLES, ...(typeof autoThemeVariables === 'object' ? autoThemeVariables : {}) }
+          : null;
+
+        const mermaidVersion = await getMermaidVersion();
+
+        // Inject client-side mermaid script with conditional loading
+        const mermaidScriptContent = `
+// Check if page has mermaid diagrams
+const hasMermaidDiagrams = () => {
+  return document.querySelectorAll('pre.mermaid').length > 0;
+};
+
+// Where diagrams are rendered: 'client', 'build' or 'hybrid'
+const renderMode = ${JSON.stringify(renderMode)};
+
+// Mermaid configuration
+const defaultConfig = ${JSON.stringify({
+  startOnLoad: false,
+  theme: theme,
+  ...resolvedMermaidConfig
+})};
+
+// Theme mapping for auto-theme switching
+const themeMap = ${JSON.stringify(resolvedThemeMap)};
+
+// Mermaid themeVariables to read from CSS custom properties, null when disabled
+const themeVariablesConfig = ${JSON.stringify(themeVariablesConfig)};
+
+// Mermaid themes of the light and dark SVG rendered per diagram, null when disabled
+const dualTheme = ${JSON.stringify(dualThemes)};
+
+const warnedThemes = new Set();
+
+// Get current theme from multiple sources
+function getCurrentTheme() {
+  // Dual-theme diagrams pin a theme per family, the page theme only switches CSS
+  if (dualTheme) {
+    return dualTheme.light;
+  }
+
+  // Page colors drive mermaid's customizable base theme
+  if (themeVariablesConfig) {
+    return 'base';
+  }
+
+  let currentTheme = defaultConfig.theme;
+
+  if (${autoTheme}) {
+    // Check both html and body for data-theme attribute
+    const htmlTheme = document.documentElement.getAttribute('data-theme');
+    const bodyTheme = document.body.getAttribute('data-theme');
+    const dataTheme = htmlTheme || bodyTheme;
+    if (dataTheme && !themeMap[dataTheme] && !warnedThemes.has(dataTheme)) {
+      warnedThemes.add(dataTheme);
+      console.warn('[astro-mermaid] No themeMap entry for data-theme', dataTheme, '- falling back to', defaultConfig.theme);
+    }
+    currentTheme = themeMap[dataTheme] || defaultConfig.theme;
+    console.log('[astro-mermaid] Using theme:', currentTheme, 'from', htmlTheme ? 'html' : 'body');
+  }
+
+  return currentTheme;
+}
+
+// Whether a hex color is dark, so mermaid derives matching secondary colors
+function isDarkColor(color) {
+  let hex = color.replace('#', '');
+  if (hex.length === 3 || hex.length === 4) {
+    hex = hex.split('').map(char => char + char).join('');
+  }
+  if (!/^[0-9a-f]{6}/i.test(hex)) {
+    return false;
+  }
+  const [r, g, b] = [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+  return (0.299 * r + 0.587 * g + 0.114 * b) / 255 < 0.5;
+}
+
+// Read mermaid themeVariables from the page's CSS custom properties
+function getThemeVariables() {
+  const styles = getComputedStyle(document.documentElement);
+  const themeVariables = {};
+  for (const [variable, property] of Object.entries(themeVariablesConfig)) {
+    const value = styles.getPropertyValue(property).trim();
+    if (value) {
+      themeVariables[variable] = value;
+    }
+  }
+  if (themeVariables.background) {
+    themeVariables.darkMode = isDarkColor(themeVariables.background);
+  }
+  return themeVariables;
+}
+
+// Per-diagram theme and config overrides from the code fence meta
+${applyDiagramOverrides.toString()}
+
+function getDiagramOverrides(diagram) {
+  const overrides = {};
+  const diagramConfig = diagram.getAttribute('data-mermaid-config');
+  if (diagramConfig) {
+    try {
+      Object.assign(overrides, JSON.parse(diagramConfig));
+    } catch (error) {
+      console.warn('[astro-mermaid] Ignoring invalid data-mermaid-config:', error);
+    }
+  }
+  const diagramTheme = diagram.getAttribute('data-mermaid-theme');
+  if (diagramTheme) {
+    overrides.theme = diagramTheme;
+  }
+  return overrides;
+}
+
+// Modules loaded from a URL, which Vite leaves for the browser to fetch
+const importUrl = (url) => import(/* @vite-ignore */ url);
+
+// Dynamically import mermaid only when a diagram actually needs it
+let mermaidPromise;
+function loadMermaid() {
+  if (!mermaidPromise) {
+    console.log('[astro-mermaid] Loading mermaid.js...');
+    mermaidPromise = ${clientImport(mermaidSource)}.then(async ({ default: mermaid }) => {
+      // Register icon packs if provided, their icons load on first use
+      if (${iconPacks.length > 0}) {
+        const { default: iconPacks } = await import('virtual:astro-mermaid/icon-packs');
+        console.log('[astro-mermaid] Registering', iconPacks.length, 'icon packs');
+        mermaid.registerIconPacks(iconPacks);
+      }
+      // Register extra layout algorithms such as ELK before the first render
+      if (${layoutLoaders.length > 0}) {
+        const layoutModules = await Promise.all([${layoutLoaders.map(clientImport).join(', ')}]);
+        console.log('[astro-mermaid] Registering', layoutModules.length, 'layout loaders');
+        mermaid.registerLayoutLoaders(layoutModules.flatMap((module) => module.default));
+      }
+      return mermaid;
+    });
+  }
+  return mermaidPromise;
+}
+
+// Whether a diagram has never been rendered or was rendered with an outdated theme
+const needsRender = (diagram) => {
+  return !diagram.hasAttribute('data-processed') || diagram.hasAttribute('data-stale');
+};
+
+// Flag rendered diagrams whose SVG no longer matches the current theme.
+// Stale diagrams keep showing their old SVG until they are re-rendered.
+function markStaleDiagrams(themeChanged) {
+  const currentTheme = getCurrentTheme();
+  document.querySelectorAll('pre.mermaid[data-processed]').forEach(diagram => {
+    // Dual-theme diagrams already hold an SVG for every theme
+    if (diagram.querySelector(':scope > svg[data-mermaid-family]')) {
+      return;
+    }
+
+    const prerenderedTheme = diagram.getAttribute('data-prerendered');
+    if (!prerenderedTheme) {
+      if (themeChanged) {
+        diagram.setAttribute('data-stale', 'true');
+      }
+      return;
+    }
+
+    // Build-mode SVGs keep their theme, hybrid mode re-renders them when it no longer matches
+    if (renderMode !== 'hybrid') {
+      return;
+    }
+    const diagramTheme = diagram.getAttribute('data-mermaid-theme') || currentTheme;
+    // Build time never sees the page's CSS, so derived theme variables always re-render
+    if (themeVariablesConfig || prerenderedTheme !== diagramTheme) {
+      diagram.setAttribute('data-stale', 'true');
+    }
+  });
+}
+
+// Mermaid configuration for the current theme, reset whenever the theme changes
+let activeConfig = null;
+function getMermaidConfig() {
+  if (!activeConfig) {
+    activeConfig = {
+      ...defaultConfig,
+      theme: getCurrentTheme(),
+      ...(themeVariablesConfig ? {
+        themeVariables: { ...defaultConfig.themeVariables, ...getThemeVariables() }
+      } : {})
+    };
+  }
+  return activeConfig;
+}
+
+let mermaidConfigured = false;
+function configureMermaid(mermaid) {
+  if (mermaidConfigured) {
+    return;
+  }
+  mermaid.initialize(getMermaidConfig());
+  mermaidConfigured = true;
+}
+
+// Short, synchronous string hash (cyrb53) for diagram IDs and cache keys
+function hashString(value) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < value.length; i++) {
+    const char = value.charCodeAt(i);
+    h1 = Math.imul(h1 ^ char, 2654435761);
+    h2 = Math.imul(h2 ^ char, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
+// Stable diagram ID, taken from the figure the plugins emit or derived from the source.
+// Deep links keep working across builds and the ID doubles as part of the cache key.
+function getDiagramId(diagram) {
+  const figure = diagram.closest('figure.mermaid-figure[id]');
+  if (figure) {
+    return figure.id;
+  }
+  if (!diagram.id) {
+    const baseId = 'mermaid-' + hashString(diagram.getAttribute('data-diagram') || '').slice(0, 8);
+    let id = baseId;
+    for (let n = 2; document.getElementById(id); n++) {
+      id = baseId + '-' + n;
+    }
+    diagram.id = id;
+  }
+  return diagram.id;
+}
+
+// Rendered SVGs keyed by diagram, source and mermaid config, kept in memory and IndexedDB.
+// Switching back to a theme or returning to a page reuses them without calling mermaid.render.
+const renderCacheVersion = ${JSON.stringify(mermaidVersion)};
+const RENDER_CACHE_LIMIT = 200;
+const memoryCache = new Map();
+let renderCacheDb;
+
+function openRenderCache() {
+  if (renderCacheDb === undefined) {
+    renderCacheDb = new Promise((resolve) => {
+      const request = indexedDB.open('astro-mermaid', 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('svgs').createIndex('storedAt', 'storedAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      // Private browsing or blocked storage, fall back to the memory cache
+      request.onerror = () => resolve(null);
+      request.onblocked = () => resolve(null);
+    }).catch(() => null);
+  }
+  return renderCacheDb;
+}
+
+function renderCacheKey(id, definition, config) {
+  return hashString(JSON.stringify([renderCacheVersion, id, definition, config]));
+}
+
+async function getCachedSvg(key) {
+  if (memoryCache.has(key)) {
+    return memoryCache.get(key);
+  }
+  if (!('indexedDB' in window)) {
+    return null;
+  }
+  try {
+    const db = await openRenderCache();
+    if (!db) {
+      return null;
+    }
+    const entry = await new Promise((resolve, reject) => {
+      const request = db.transaction('svgs').objectStore('svgs').get(key);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    if (entry) {
+      memoryCache.set(key, entry.svg);
+      return entry.svg;
+    }
+  } catch (error) {
+    console.warn('[astro-mermaid] Could not read the render cache:', error);
+  }
+  return null;
+}
+
+async function storeCachedSvg(key, svg) {
+  memoryCache.set(key, svg);
+  if (!('indexedDB' in window)) {
+    return;
+  }
+  try {
+    const db = await openRenderCache();
+    if (!db) {
+      return;
+    }
+    const transaction = db.transaction('svgs', 'readwrite');
+    const store = transaction.objectStore('svgs');
+    store.put({ svg, storedAt: Date.now() }, key);
+    // Drop the oldest entries once the cache outgrows its limit
+    const count = store.count();
+    count.onsuccess = () => {
+      let excess = count.result - RENDER_CACHE_LIMIT;
+      if (excess <= 0) {
+        return;
+      }
+      store.index('storedAt').openKeyCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor && excess-- > 0) {
+          store.delete(cursor.primaryKey);
+          cursor.continue();
+        }
+      };
+    };
+  } catch (error) {
+    console.warn('[astro-mermaid] Could not write the render cache:', error);
+  }
+}
+
+// Name and describe the surrounding figure from the caption and mermaid's accTitle/accDescr
+${figureAria.toString()}
+
+function linkAccessibility(diagram) {
+  const figure = diagram.closest('figure.mermaid-figure');
+  if (!figure) {
+    return;
+  }
+
+  const svgs = diagram.querySelectorAll(':scope > svg');
+  const caption = figure.querySelector(':scope > figcaption[id]');
+  const labelledBy = svgs.length > 0 && svgs[0].getAttribute('aria-labelledby');
+  const describedBy = svgs.length > 0 && svgs[0].getAttribute('aria-describedby');
+
+  // Without an accTitle the caption names the SVG itself
+  for (const svg of svgs) {
+    if (!svg.getAttribute('aria-labelledby') && caption) {
+      svg.setAttribute('aria-labelledby', caption.id);
+    }
+  }
+
+  figure.removeAttribute('aria-labelledby');
+  figure.removeAttribute('aria-describedby');
+  const aria = figureAria(caption && caption.id, labelledBy, describedBy);
+  for (const [name, value] of Object.entries(aria)) {
+    figure.setAttribute(name, value);
+  }
+}
+
+// Interactive pan/zoom viewer, enabled globally or per diagram with the viewer fence flag
+const viewerEnabled = ${viewer};
+const MIN_SCALE = 0.25;
+const MAX_SCALE = 8;
+const viewers = new WeakMap();
+let viewerDialog = null;
+
+function hasViewer(diagram) {
+  const flag = diagram.getAttribute('data-viewer');
+  return flag === null ? viewerEnabled : flag === 'true';
+}
+
+function createControlButton(label, text, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'mermaid-control-button';
+  button.title = label;
+  button.setAttribute('aria-label', label);
+  button.textContent = text;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// The SVG currently on screen, dual-theme diagrams hide the one of the other theme family
+function visibleSvg(container) {
+  const svgs = Array.from(container.querySelectorAll(':scope > svg'));
+  return svgs.find(svg => getComputedStyle(svg).display !== 'none') || svgs[0] || null;
+}
+
+// Pan and zoom the SVG inside a viewport with a CSS transform.
+// The SVG is looked up on every change, so re-renders can swap it at any time.
+function createPanZoom(viewport, wheelNeedsModifier) {
+  const state = { scale: 1, x: 0, y: 0 };
+  const pointers = new Map();
+  let pinchDistance = 0;
+
+  // Every theme family shares the transform, so switching themes keeps the view
+  function apply() {
+    for (const svg of viewport.querySelectorAll(':scope > svg')) {
+      svg.style.transformOrigin = '0 0';
+      svg.style.transform = 'translate(' + state.x + 'px, ' + state.y + 'px) scale(' + state.scale + ')';
+    }
+  }
+
+  // Zoom around a point in client coordinates, keeping it under the pointer
+  function zoomAt(factor, clientX, clientY) {
+    const svg = visibleSvg(viewport);
+    if (!svg) {
+      return;
+    }
+    const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, state.scale * factor));
+    const rect = svg.getBoundingClientRect();
+    const ratio = scale / state.scale;
+    state.x += (clientX - rect.left) * (1 - ratio);
+    state.y += (clientY - rect.top) * (1 - ratio);
+    state.scale = scale;
+    apply();
+  }
+
+  function zoomCenter(factor) {
+    const rect = viewport.getBoundingClientRect();
+    zoomAt(factor, rect.left + rect.width / 2, rect.top + rect.height / 2);
+  }
+
+  function reset() {
+    state.scale = 1;
+    state.x = 0;
+    state.y = 0;
+    apply();
+  }
+
+  // Trackpad pinches arrive as wheel events with ctrlKey set. In the page a plain
+  // wheel keeps scrolling, only the fullscreen viewer zooms on every wheel event.
+  viewport.addEventListener('wheel', (event) => {
+    if (wheelNeedsModifier && !event.ctrlKey && !event.metaKey) {
+      return;
+    }
+    event.preventDefault();
+    zoomAt(Math.exp(-event.deltaY * 0.002), event.clientX, event.clientY);
+  }, { passive: false });
+
+  // One pointer pans, two pointers pinch
+  viewport.addEventListener('pointerdown', (event) => {
+    if (event.button !== 0) {
+      return;
+    }
+    pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    if (viewport.setPointerCapture) {
+      viewport.setPointerCapture(event.pointerId);
+    }
+    viewport.setAttribute('data-panning', 'true');
+  });
+
+  viewport.addEventListener('pointermove', (event) => {
+    const previous = pointers.get(event.pointerId);
+    if (!previous) {
+      return;
+    }
+    const current = { x: event.clientX, y: event.clientY };
+    pointers.set(event.pointerId, current);
+
+    if (pointers.size === 1) {
+      state.x += current.x - previous.x;
+      state.y += current.y - previous.y;
+      apply();
+    } else if (pointers.size === 2) {
+      const [a, b] = Array.from(pointers.values());
+      const distance = Math.hypot(a.x - b.x, a.y - b.y);
+      if (pinchDistance) {
+        zoomAt(distance / pinchDistance, (a.x + b.x) / 2, (a.y + b.y) / 2);
+      }
+      pinchDistance = distance;
+    }
+  });
+
+  const releasePointer = (event) => {
+    pointers.delete(event.pointerId);
+    pinchDistance = 0;
+    if (pointers.size === 0) {
+      viewport.removeAttribute('data-panning');
+    }
+  };
+  viewport.addEventListener('pointerup', releasePointer);
+  viewport.addEventListener('pointercancel', releasePointer);
+  viewport.addEventListener('dblclick', reset);
+
+  return { apply, zoomCenter, reset };
+}
+
+function createViewerControls(panZoom, extraButtons) {
+  const controls = document.createElement('div');
+  controls.className = 'mermaid-viewer-controls';
+  controls.setAttribute('role', 'toolbar');
+  controls.setAttribute('aria-label', 'Diagram controls');
+  controls.append(
+    createControlButton('Zoom in', '+', () => panZoom.zoomCenter(1.25)),
+    createControlButton('Zoom out', '−', () => panZoom.zoomCenter(0.8)),
+    createControlButton('Reset zoom', '⟲', () => panZoom.reset()),
+    ...extraButtons
+  );
+  return controls;
+}
+
+// One fullscreen dialog per page, recreated after view transitions replace the body
+function getViewerDialog() {
+  if (viewerDialog && viewerDialog.element.isConnected) {
+    return viewerDialog;
+  }
+
+  const element = document.createElement('dialog');
+  element.className = 'mermaid-viewer-dialog';
+  element.setAttribute('aria-label', 'Diagram viewer');
+  const stage = document.createElement('div');
+  stage.className = 'mermaid-viewer-stage';
+  const panZoom = createPanZoom(stage, false);
+  element.append(
+    createViewerControls(panZoom, [createControlButton('Close fullscreen', '✕', () => element.close())]),
+    stage
+  );
+
+  const dialog = { element, stage, panZoom, diagram: null };
+  element.addEventListener('close', () => {
+    dialog.diagram = null;
+    stage.replaceChildren();
+  });
+  document.body.appendChild(element);
+  viewerDialog = dialog;
+  return dialog;
+}
+
+// Show a copy of the diagram's current SVGs in the dialog
+function syncViewerDialog(dialog) {
+  const svgs = dialog.diagram ? Array.from(dialog.diagram.querySelectorAll(':scope > svg')) : [];
+  dialog.stage.replaceChildren(...svgs.map(svg => svg.cloneNode(true)));
+  dialog.panZoom.apply();
+}
+
+function openViewerDialog(diagram) {
+  const dialog = getViewerDialog();
+  dialog.diagram = diagram;
+  syncViewerDialog(dialog);
+  dialog.panZoom.reset();
+  dialog.element.showModal();
+}
+
+// Attach the viewer once per diagram, later renders only swap the SVG it transforms
+function attachViewer(diagram) {
+  if (!hasViewer(diagram) || !diagram.querySelector(':scope > svg')) {
+    return;
+  }
+
+  let panZoom = viewers.get(diagram);
+  if (!panZoom) {
+    panZoom = createPanZoom(diagram, true);
+    viewers.set(diagram, panZoom);
+    diagram.setAttribute('data-viewer-active', 'true');
+    diagram.before(createViewerControls(panZoom, [
+      createControlButton('Open fullscreen', '⛶', () => openViewerDialog(diagram))
+    ]));
+  }
+
+  panZoom.apply();
+  if (viewerDialog && viewerDialog.diagram === diagram) {
+    syncViewerDialog(viewerDialog);
+  }
+}
+
+// Copy and download toolbar, enabled globally or per diagram with the toolbar fence flag
+const toolbarEnabled = ${Boolean(toolbar)};
+const toolbarConfig = ${JSON.stringify(toolbarConfig)};
+
+function hasToolbar(diagram) {
+  const flag = diagram.getAttribute('data-toolbar');
+  return flag === null ? toolbarEnabled : flag === 'true';
+}
+
+// Announce the outcome of an action next to the buttons, then clear it again
+function showToolbarStatus(status, message) {
+  status.textContent = message;
+  clearTimeout(status.clearTimer);
+  status.clearTimer = setTimeout(() => {
+    status.textContent = '';
+  }, 2000);
+}
+
+// Download file name derived from the diagram's caption
+function diagramFileName(diagram, extension) {
+  const title = diagram.getAttribute('data-title') || '';
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return (slug || 'mermaid-diagram') + '.' + extension;
+}
+
+// Standalone copy of the rendered SVG, without the viewer's pan and zoom
+function exportSvg(diagram) {
+  const svg = visibleSvg(diagram);
+  if (!svg) {
+    return null;
+  }
+
+  const copy = svg.cloneNode(true);
+  copy.style.removeProperty('transform');
+  copy.style.removeProperty('transform-origin');
+  copy.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+
+  // An explicit size lets the PNG export rasterize at the diagram's natural dimensions
+  const [, , viewBoxWidth, viewBoxHeight] = (svg.getAttribute('viewBox') || '').trim().split(/[ ,]+/).map(Number);
+  const rect = svg.getBoundingClientRect();
+  const width = viewBoxWidth || rect.width || 800;
+  const height = viewBoxHeight || rect.height || 600;
+  copy.setAttribute('width', String(width));
+  copy.setAttribute('height', String(height));
+
+  return { markup: new XMLSerializer().serializeToString(copy), width, height };
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+async function copySource(diagram, status) {
+  const source = diagram.getAttribute('data-diagram');
+  if (!source) {
+    showToolbarStatus(status, 'No diagram source available');
+    return;
+  }
+  try {
+    await navigator.clipboard.writeText(source);
+    showToolbarStatus(status, 'Copied diagram source');
+  } catch (error) {
+    console.error('[astro-mermaid] Failed to copy diagram source:', error);
+    showToolbarStatus(status, 'Copy failed');
+  }
+}
+
+function downloadSvg(diagram, status) {
+  const exported = exportSvg(diagram);
+  if (!exported) {
+    showToolbarStatus(status, 'No rendered diagram to download');
+    return;
+  }
+  downloadBlob(new Blob([exported.markup], { type: 'image/svg+xml' }), diagramFileName(diagram, 'svg'));
+}
+
+// Rasterize the SVG on a canvas at the configured scale, over the page background
+function downloadPng(diagram, status) {
+  const exported = exportSvg(diagram);
+  if (!exported) {
+    showToolbarStatus(status, 'No rendered diagram to download');
+    return;
+  }
+
+  const fail = (error) => {
+    console.error('[astro-mermaid] Failed to export PNG:', error);
+    showToolbarStatus(status, 'PNG export failed');
+  };
+
+  const image = new Image();
+  image.onload = () => {
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.ceil(exported.width * toolbarConfig.pngScale);
+      canvas.height = Math.ceil(exported.height * toolbarConfig.pngScale);
+      const context = canvas.getContext('2d');
+      context.fillStyle = getComputedStyle(document.body).backgroundColor;
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      // Browsers refusing to export canvases with foreignObject labels throw here
+      canvas.toBlob((blob) => {
+        if (blob) {
+          downloadBlob(blob, diagramFileName(diagram, 'png'));
+        } else {
+          fail(new Error('empty canvas'));
+        }
+      }, 'image/png');
+    } catch (error) {
+      fail(error);
+    }
+  };
+  image.onerror = () => fail(new Error('could not load the SVG as an image'));
+  image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(exported.markup);
+}
+
+// Attach the toolbar once per diagram, its actions always read the current SVG
+function attachToolbar(diagram) {
+  if (!hasToolbar(diagram) || diagram.hasAttribute('data-toolbar-active')) {
+    return;
+  }
+  diagram.setAttribute('data-toolbar-active', 'true');
+
+  const toolbar = document.createElement('div');
+  toolbar.className = 'mermaid-toolbar';
+  toolbar.setAttribute('role', 'toolbar');
+  toolbar.setAttribute('aria-label', 'Diagram actions');
+  const status = document.createElement('span');
+  status.className = 'mermaid-toolbar-status';
+  status.setAttribute('role', 'status');
+
+  const actions = {
+    copy: () => createControlButton('Copy mermaid source', 'Copy source', () => copySource(diagram, status)),
+    svg: () => createControlButton('Download SVG', 'SVG', () => downloadSvg(diagram, status)),
+    png: () => createControlButton('Download PNG', 'PNG', () => downloadPng(diagram, status))
+  };
+  toolbar.append(status, ...toolbarConfig.items.map(item => actions[item]()));
+  diagram.after(toolbar);
+}
+
+// Lets mermaid's embedded <style> elements through a nonce-based Content-Security-Policy
+const styleNonce = ${JSON.stringify(nonce ?? null)};
+${addStyleNonce.toString()}
+${addThemeFamily.toString()}
+
+// Show the rendered SVGs in place of the diagram source, one per dual-theme family
+function showSvg(diagram, variants, svgs) {
+  diagram.innerHTML = variants.map((variant, index) => {
+    const svg = addStyleNonce(svgs[index], styleNonce);
+    return variant.family ? addThemeFamily(svg, variant.family) : svg;
+  }).join('');
+  linkAccessibility(diagram);
+  attachViewer(diagram);
+  attachToolbar(diagram);
+  diagram.setAttribute('data-processed', 'true');
+  diagram.removeAttribute('data-stale');
+  // The client now owns this diagram, theme changes re-render it like any other
+  diagram.removeAttribute('data-prerendered');
+}
+
+// Diagram engines besides mermaid, each loaded the first time one of its diagrams renders
+const engineModules = {${engines.map(engine => `
+  ${JSON.stringify(engine.name)}: () => import(${JSON.stringify(engine.module)}),`).join('')}
+};
+const loadedEngines = new Map();
+
+// Resolve the render function for an engine, loading it on first use
+async function loadRenderer(engine) {
+  if (engine === 'mermaid') {
+    const mermaid = await loadMermaid();
+    configureMermaid(mermaid);
+    return async (id, definition) => (await mermaid.render(id, definition)).svg;
+  }
+
+  if (!engineModules[engine]) {
+    throw new Error('Unknown diagram engine "' + engine + '"');
+  }
+  if (!loadedEngines.has(engine)) {
+    loadedEngines.set(engine, engineModules[engine]());
+  }
+  const { render } = await loadedEngines.get(engine);
+  return (id, definition, context) => render(definition, { ...context, id });
+}
+
+// Where a diagram will be rendered from, before any renderer is needed
+function prepareDiagram(diagram) {
+  // Store original content
+  if (!diagram.hasAttribute('data-diagram')) {
+    diagram.setAttribute('data-diagram', diagram.textContent || '');
+  }
+
+  const engine = diagram.getAttribute('data-engine') || 'mermaid';
+  const source = diagram.getAttribute('data-diagram') || '';
+  const overrides = getDiagramOverrides(diagram);
+  // The SVG gets its own ID, the figure's ID is the deep link target
+  const id = getDiagramId(diagram) + '-svg';
+  // Dual-theme mode renders a light and a dark variant, unless the fence pins a theme
+  const families = dualTheme && !overrides.theme ? ['light', 'dark'] : [null];
+
+  const variants = families.map(family => {
+    const variantId = family ? id + '-' + family : id;
+    const variantOverrides = family ? { ...overrides, theme: dualTheme[family] } : overrides;
+
+    if (engine === 'mermaid') {
+      const definition = applyDiagramOverrides(source, variantOverrides);
+      return { family, id: variantId, definition, cacheKey: renderCacheKey(variantId, definition, getMermaidConfig()) };
+    }
+
+    // Other engines take the theme and per-diagram config as options instead of an init directive
+    const { theme, ...config } = variantOverrides;
+    const mermaidConfig = getMermaidConfig();
+    const context = { theme: theme || mermaidConfig.theme, themeVariables: mermaidConfig.themeVariables, config };
+    return { family, id: variantId, definition: source, context, cacheKey: renderCacheKey(variantId, source, [engine, context]) };
+  });
+  return { engine, id, variants };
+}
+
+// Broken diagrams get a detailed box and the error overlay in dev, a quiet fallback in production
+const devMode = ${command === 'dev'};
+const errorFallback = ${JSON.stringify(errorFallback)};
+${escapeHtml.toString()}
+
+function createErrorBox(error) {
+  const box = document.createElement('div');
+  box.className = 'mermaid-error';
+  const heading = document.createElement('strong');
+  heading.textContent = 'Error rendering diagram:';
+  box.append(heading, document.createElement('br'), error.message || 'Unknown error');
+  return box;
+}
+
+// Line of the rendered definition a parse error points at, if it names one
+function errorLine(error) {
+  const loc = error && error.hash && error.hash.loc;
+  if (loc && loc.first_line) {
+    return loc.first_line;
+  }
+  const match = /line (\\d+)/i.exec((error && error.message) || '');
+  return match ? Number(match[1]) : null;
+}
+
+// Numbered source with the failing line highlighted and a link that opens the file in the editor
+function createDevErrorBox(diagram, error, definition) {
+  const lines = (diagram.getAttribute('data-diagram') || '').split('\\n');
+  // Per-diagram overrides prepend an init directive, shift the line back onto the source
+  const renderedLine = errorLine(error);
+  const sourceLine = renderedLine && renderedLine - (definition.split('\\n').length - lines.length);
+  const line = sourceLine >= 1 && sourceLine <= lines.length ? sourceLine : null;
+
+  const box = createErrorBox(error);
+  const listing = document.createElement('ol');
+  listing.className = 'mermaid-error-source';
+  lines.forEach((text, index) => {
+    const item = document.createElement('li');
+    item.textContent = text;
+    if (index + 1 === line) {
+      item.className = 'mermaid-error-line';
+    }
+    listing.append(item);
+  });
+  box.append(listing);
+
+  const file = diagram.getAttribute('data-source-file');
+  const location = file
+    ? { file, line: Number(diagram.getAttribute('data-source-line')) + (line || 1) - 1 }
+    : null;
+  if (location) {
+    const link = document.createElement('a');
+    link.className = 'mermaid-error-location';
+    link.href = '/__open-in-editor?file=' + encodeURIComponent(location.file + ':' + location.line);
+    link.textContent = location.file + ':' + location.line;
+    // The dev server opens the file, the page itself stays put
+    link.addEventListener('click', (event) => {
+      event.preventDefault();
+      fetch(link.href);
+    });
+    box.append(link);
+  }
+
+  showErrorOverlay(error, lines, line, location);
+  return box;
+}
+
+// Hand the error to the dev server's overlay, the first broken diagram of a page is enough
+function showErrorOverlay(error, lines, line, location) {
+  const ErrorOverlay = customElements.get('vite-error-overlay');
+  if (!ErrorOverlay || document.querySelector('vite-error-overlay')) {
+    return;
+  }
+
+  const message = error.message || 'Unknown error';
+  document.body.appendChild(new ErrorOverlay({
+    name: 'MermaidError',
+    title: 'A diagram failed to render',
+    message: escapeHtml(message),
+    loc: location || undefined,
+    // Astro's overlay shows highlightedCode, Vite's own one the plain frame
+    highlightedCode: lines
+      .map((text, index) => '<span class="line' + (index + 1 === line ? ' error-line' : '') + '">' + escapeHtml(text) + '</span>')
+      .join('\\n'),
+    frame: lines.map((text, index) => (index + 1 === line ? '> ' : '  ') + (index + 1) + ' | ' + text).join('\\n'),
+    id: location ? location.file : undefined,
+    plugin: 'astro-mermaid',
+    stack: error.stack || message
+  }));
+}
+
+// Production stand-in chosen with the errorFallback option
+function createErrorFallback(diagram, error) {
+  if (errorFallback === 'message') {
+    return createErrorBox(error);
+  }
+
+  const fallback = document.createElement('div');
+  fallback.className = 'mermaid-fallback';
+  fallback.setAttribute('data-fallback', errorFallback);
+  if (errorFallback === 'source') {
+    const note = document.createElement('p');
+    note.className = 'mermaid-fallback-note';
+    note.textContent = 'This diagram could not be rendered, here is its source.';
+    const code = document.createElement('code');
+    code.textContent = diagram.getAttribute('data-diagram') || '';
+    fallback.append(note, code);
+  }
+  return fallback;
+}
+
+// Render a single diagram, variants found in the cache are not rendered again
+async function renderDiagram(render, diagram, { id, variants }, cachedSvgs) {
+  console.log('[astro-mermaid] Rendering diagram:', id);
+
+  let rendering = variants[0];
+  try {
+    const svgs = [];
+    for (const [index, variant] of variants.entries()) {
+      if (cachedSvgs[index]) {
+        svgs.push(cachedSvgs[index]);
+        continue;
+      }
+
+      // Clear any existing error state
+      const existingGraph = document.getElementById(variant.id);
+      if (existingGraph) {
+        existingGraph.remove();
+      }
+
+      rendering = variant;
+      const svg = await render(variant.id, variant.definition, variant.context);
+      storeCachedSvg(variant.cacheKey, svg);
+      svgs.push(svg);
+    }
+    showSvg(diagram, variants, svgs);
+    console.log('[astro-mermaid] Successfully rendered diagram:', id);
+  } catch (error) {
+    console.error('[astro-mermaid] Mermaid rendering error for diagram:', id, error);
+    diagram.replaceChildren(devMode ? createDevErrorBox(diagram, error, rendering.definition) : createErrorFallback(diagram, error));
+    linkAccessibility(diagram);
+    attachToolbar(diagram);
+    diagram.setAttribute('data-processed', 'true');
+    diagram.removeAttribute('data-stale');
+  }
+}
+
+// Diagrams are rendered one at a time, mermaid.render is not safe to run concurrently
+const renderQueue = new Set();
+let flushing = null;
+
+async function flushRenderQueue() {
+  while (renderQueue.size > 0) {
+    const [diagram] = renderQueue;
+    renderQueue.delete(diagram);
+    if (!diagram.isConnected || !needsRender(diagram)) {
+      continue;
+    }
+
+    const render = prepareDiagram(diagram);
+    const cachedSvgs = [];
+    for (const variant of render.variants) {
+      cachedSvgs.push(await getCachedSvg(variant.cacheKey));
+    }
+    if (cachedSvgs.every(Boolean)) {
+      console.log('[astro-mermaid] Using cached diagram:', render.id);
+      showSvg(diagram, render.variants, cachedSvgs);
+      continue;
+    }
+
+    // mermaid.js and other engines are only loaded once a diagram misses the cache
+    const renderer = await loadRenderer(render.engine);
+    await renderDiagram(renderer, diagram, render, cachedSvgs);
+  }
+}
+
+function startFlush() {
+  if (flushing) {
+    return;
+  }
+  flushing = flushRenderQueue()
+    .catch(error => {
+      console.error('[astro-mermaid] Failed to load the diagram renderer:', error);
+      renderQueue.clear();
+    })
+    .finally(() => {
+      flushing = null;
+      if (renderQueue.size > 0) {
+        startFlush();
+      }
+    });
+}
+
+function scheduleRender(diagram) {
+  renderQueue.add(diagram);
+  startFlush();
+}
+
+// Render diagrams as they approach the viewport
+const lazyRendering = ${lazy} && 'IntersectionObserver' in window;
+const visibleDiagrams = new Set();
+const visibilityObserver = lazyRendering
+  ? new IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        if (entry.isIntersecting) {
+          visibleDiagrams.add(entry.target);
+          if (needsRender(entry.target)) {
+            scheduleRender(entry.target);
+          }
+        } else {
+          visibleDiagrams.delete(entry.target);
+        }
+      }
+    }, { rootMargin: ${JSON.stringify(rootMargin)} })
+  : null;
+
+// Initialize all mermaid diagrams
+function initMermaid() {
+  console.log('[astro-mermaid] Initializing mermaid diagrams...');
+  const diagrams = document.querySelectorAll('pre.mermaid');
+
+  console.log('[astro-mermaid] Found', diagrams.length, 'mermaid diagrams');
+
+  if (diagrams.length === 0) {
+    return;
+  }
+
+  markStaleDiagrams(false);
+
+  // mermaid.js is only loaded once a diagram is actually rendered
+  if (!Array.from(diagrams).some(needsRender)) {
+    console.log('[astro-mermaid] All diagrams are pre-rendered, skipping mermaid.js load');
+  }
+
+  for (const diagram of diagrams) {
+    // Pre-rendered SVGs get their viewer and toolbar right away
+    if (diagram.hasAttribute('data-processed')) {
+      attachViewer(diagram);
+      attachToolbar(diagram);
+    }
+
+    if (visibilityObserver) {
+      // Keep observing rendered diagrams too, theme changes make them stale again
+      visibilityObserver.observe(diagram);
+    } else if (needsRender(diagram)) {
+      scheduleRender(diagram);
+    }
+  }
+}
+
+// Re-render visible diagrams right away, the rest once they scroll into view
+function handleThemeChange() {
+  mermaidConfigured = false;
+  activeConfig = null;
+  markStaleDiagrams(true);
+
+  const diagrams = visibilityObserver
+    ? Array.from(visibleDiagrams)
+    : Array.from(document.querySelectorAll('pre.mermaid'));
+  diagrams.filter(needsRender).forEach(scheduleRender);
+}
+
+// Watch html and body for data-theme changes, the body is replaced on every navigation
+let themeObserver = null;
+function observeTheme() {
+  // Dual-theme diagrams switch with CSS alone
+  if (!${autoTheme} || dualTheme || themeObserver) {
+    return;
+  }
+
+  themeObserver = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      if (mutation.type === 'attributes' && mutation.attributeName === 'data-theme') {
+        handleThemeChange();
+      }
+    }
+  });
+  themeObserver.observe(document.documentElement, {
+    attributes: true,
+    attributeFilter: ['data-theme']
+  });
+  themeObserver.observe(document.body, {
+    attributes: true,
+    attributeFilter: ['data-theme']
+  });
+}
+
+// Set up the current page once, whether it came from a full load or a client-side navigation
+let currentBody = null;
+function setupPage() {
+  if (currentBody === document.body) {
+    return;
+  }
+  currentBody = document.body;
+
+  if (!hasMermaidDiagrams()) {
+    console.log('[astro-mermaid] No mermaid diagrams found on this page, skipping mermaid.js load');
+    return;
+  }
+
+  console.log('[astro-mermaid] Mermaid diagrams detected');
+  initMermaid();
+  observeTheme();
+}
+
+// Let go of the outgoing page before the router swaps it out, nothing keeps its diagrams alive
+function teardownPage() {
+  if (themeObserver) {
+    themeObserver.disconnect();
+    themeObserver = null;
+  }
+  if (visibilityObserver) {
+    visibilityObserver.disconnect();
+    visibleDiagrams.clear();
+  }
+  renderQueue.clear();
+  // The next page may come with another data-theme
+  mermaidConfigured = false;
+  activeConfig = null;
+  currentBody = null;
+}
+
+setupPage();
+
+// Astro's ClientRouter keeps this module alive across navigations, mermaid.js loads on
+// the first page that actually needs it
+document.addEventListener('astro:before-swap', teardownPage);
+document.addEventListener('astro:page-load', setupPage);
+`;
+
+        injectScript('page', mermaidScriptContent);
+
+        // Ship the CSS as a real stylesheet, bundled with the page's other styles
+        injectScript('page-ssr', `import ${JSON.stringify(resolvePath(dirname(fileURLToPath(import.meta.url)), 'styles.css'))};`);
+        if (dualThemes) {
+          injectScript('page-ssr', "import 'virtual:astro-mermaid/dual-theme.css';");
+        }
+      },
+
+      'astro:build:done': async ({ dir, pages, logger }) => {
+        if (!diagramManifest) {
+          return;
+        }
+        const { manifest: { diagrams }, unrecorded } = await diagramManifest.write(dir, pages, projectRoot, manifestFile);
+        const manifestPath = relative(fileURLToPath(projectRoot), fileURLToPath(manifestFile)).split(sep).join('/');
+        logger.info(`Wrote ${manifestPath} with ${diagrams.length} diagram${diagrams.length === 1 ? '' : 's'}`);
+        if (unrecorded.length > 0) {
+          logger.warn(`${manifestPath} is missing ${unrecorded.length} diagram${unrecorded.length === 1 ? '' : 's'} rendered from Astro's content cache or outside Markdown (${unrecorded.join(', ')}), run \`astro build --force\` to include cached ones`);
+        }
       }
     }
   };
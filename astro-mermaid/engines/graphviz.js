@@ -0,0 +1,82 @@
+/**
+ * Graphviz engine for astro-mermaid
+ * Renders ```dot and ```graphviz fences with Graphviz compiled to WebAssembly. The WASM
+ * binary ships inside @viz-js/viz, so rendering works offline in Node and the browser.
+ */
+import { instance } from '@viz-js/viz';
+
+let vizPromise;
+
+function getViz() {
+  if (!vizPromise) {
+    vizPromise = instance();
+  }
+  return vizPromise;
+}
+
+/**
+ * Helper function to map the page's mermaid theme onto Graphviz default attributes
+ * Attributes set in the DOT source still win over these defaults.
+ */
+function themeAttributes({ theme, themeVariables }) {
+  const dark = themeVariables?.darkMode ?? theme === 'dark';
+  const text = themeVariables?.primaryTextColor ?? (dark ? '#e0e0e0' : '#1f2020');
+  const line = themeVariables?.lineColor ?? (dark ? '#cccccc' : '#333333');
+
+  return {
+    graphAttributes: { bgcolor: 'transparent', fontcolor: text, color: line },
+    nodeAttributes: { fontcolor: text, color: line },
+    edgeAttributes: { fontcolor: text, color: line }
+  };
+}
+
+/**
+ * Render a DOT definition to an SVG string
+ * The per-diagram `config` may pick a layout `engine` ('dot', 'neato', ...) and extra
+ * `graphAttributes`, `nodeAttributes` or `edgeAttributes`.
+ */
+export async function render(definition, context = {}) {
+  const viz = await getViz();
+  const defaults = themeAttributes(context);
+  const config = context.config || {};
+
+  const result = viz.render(definition, {
+    format: 'svg',
+    engine: config.engine,
+    graphAttributes: { ...defaults.graphAttributes, ...config.graphAttributes },
+    nodeAttributes: { ...defaults.nodeAttributes, ...config.nodeAttributes },
+    edgeAttributes: { ...defaults.edgeAttributes, ...config.edgeAttributes }
+  });
+
+  if (result.status !== 'success') {
+    throw new Error(result.errors.map(error => error.message).join('\n') || 'Graphviz rendering failed');
+  }
+
+  // Drop the XML prolog and doctype so the SVG can be inlined into HTML
+  const svg = result.output.slice(result.output.indexOf('<svg'));
+  if (!context.id) {
+    return svg;
+  }
+  // Graphviz numbers its element ids per graph, prefix them so diagrams on one page never clash.
+  // References to them from gradient fills, clip paths and links move along, other
+  // fragment links such as a node's URL="#intro" still point into the page.
+  const ids = new Set(Array.from(svg.matchAll(/ id="([^"]+)"/g), match => match[1]));
+  const prefixed = id => (ids.has(id) ? `${context.id}-${id}` : id);
+  return svg
+    .replace(/ id="([^"]+)"/g, ` id="${context.id}-$1"`)
+    .replace(/url\(#([^)]+)\)/g, (match, id) => `url(#${prefixed(id)})`)
+    .replace(/ ((?:xlink:)?href)="#([^"]+)"/g, (match, attribute, id) => ` ${attribute}="#${prefixed(id)}"`)
+    .replace(/^<svg\b/, `<svg id="${context.id}"`);
+}
+
+/**
+ * Check a DOT definition for syntax errors without keeping the output
+ */
+export async function validate(definition) {
+  const viz = await getViz();
+  const result = viz.render(definition, { format: 'canon' });
+  const errors = result.errors.filter(error => error.level === 'error');
+  if (result.status !== 'success' || errors.length > 0) {
+    throw new Error(errors.map(error => error.message).join('\n') || 'Invalid Graphviz definition');
+  }
+}
@@ -0,0 +1,171 @@
+// @vitest-environment happy-dom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { unified } from 'unified';
+import rehypeParse from 'rehype-parse';
+import rehypeStringify from 'rehype-stringify';
+import { runRemark, setupIntegration } from './helpers.js';
+
+const renderMock = vi.fn();
+
+vi.mock('mermaid-isomorphic', () => ({
+  createMermaidRenderer: () => renderMock
+}));
+
+// Parse the markup a plugin produced so tests can assert on its structure
+async function renderRemark(remark, markdown) {
+  const html = await runRemark(remark, markdown);
+  const container = document.createElement('div');
+  container.innerHTML = html.join('');
+  return container;
+}
+
+async function renderRehype([plugin, pluginOptions], html) {
+  const processor = unified()
+    .use(rehypeParse, { fragment: true })
+    .use(plugin, pluginOptions)
+    .use(rehypeStringify, { allowDangerousHtml: true });
+
+  const container = document.createElement('div');
+  container.innerHTML = String(await processor.process({ path: '/posts/test.mdx', value: html }));
+  return container;
+}
+
+const diagram = `graph TD
+    A --> B`;
+
+describe('accessible diagram output', () => {
+  beforeEach(() => {
+    renderMock.mockReset();
+  });
+
+  it('should wrap every diagram in a figure', async () => {
+    const { remark } = await setupIntegration();
+
+    const container = await renderRemark(remark, `\`\`\`mermaid\n${diagram}\n\`\`\``);
+    const figure = container.querySelector('figure.mermaid-figure');
+
+    expect(figure).not.toBeNull();
+    expect(figure.children).toHaveLength(1);
+    expect(figure.firstElementChild.matches('pre.mermaid')).toBe(true);
+    expect(figure.querySelector('figcaption')).toBeNull();
+    expect(figure.querySelector('details')).toBeNull();
+  });
+
+  it('should turn the fence title into a figcaption', async () => {
+    const { remark } = await setupIntegration();
+
+    const container = await renderRemark(remark, `\`\`\`mermaid title="Request lifecycle" align=left\n${diagram}\n\`\`\``);
+    const figure = container.querySelector('figure.mermaid-figure');
+    const caption = figure.querySelector(':scope > figcaption');
+
+    expect(figure.getAttribute('data-align')).toBe('left');
+    expect(caption.textContent).toBe('Request lifecycle');
+    expect(figure.id).toMatch(/^mermaid-[0-9a-f]{8}$/);
+    expect(caption.id).toBe(`${figure.id}-caption`);
+  });
+
+  it('should add a collapsible source block when enabled', async () => {
+    const { remark } = await setupIntegration({ showSource: true });
+
+    const container = await renderRemark(remark, `\`\`\`mermaid\n${diagram}\n\`\`\`\n\n\`\`\`mermaid source=false\n${diagram}\n\`\`\``);
+    const [first, second] = container.querySelectorAll('figure.mermaid-figure');
+    const details = first.querySelector(':scope > details.mermaid-source');
+
+    expect(details.querySelector('summary').textContent).toBe('View diagram source');
+    expect(details.querySelector('pre > code').textContent).toBe(diagram);
+    expect(second.querySelector('details')).toBeNull();
+  });
+
+  it('should enable the source block per diagram', async () => {
+    const { remark } = await setupIntegration();
+
+    const container = await renderRemark(remark, `\`\`\`mermaid source\n${diagram}\n\`\`\``);
+
+    expect(container.querySelector('details.mermaid-source pre > code').textContent).toBe(diagram);
+  });
+
+  it('should wire accTitle and accDescr into the figure at build time', async () => {
+    renderMock.mockImplementation(async (diagrams, { prefix }) =>
+      diagrams.map((definition, index) => ({
+        status: 'fulfilled',
+        value: {
+          svg: `<svg id="${prefix}-${index}" aria-labelledby="chart-title-${prefix}-${index}" aria-describedby="chart-desc-${prefix}-${index}">` +
+            `<title id="chart-title-${prefix}-${index}">Flow</title><desc id="chart-desc-${prefix}-${index}">A leads to B</desc></svg>`
+        }
+      }))
+    );
+    const { remark } = await setupIntegration({ renderMode: 'build' }, 'build');
+
+    const container = await renderRemark(remark, `\`\`\`mermaid title="Request lifecycle"\n${diagram}\n\`\`\``);
+    const figure = container.querySelector('figure.mermaid-figure');
+    const caption = figure.querySelector('figcaption');
+    const svg = figure.querySelector('svg');
+
+    expect(figure.getAttribute('aria-labelledby')).toBe(`${caption.id} ${svg.getAttribute('aria-labelledby')}`);
+    expect(figure.getAttribute('aria-describedby')).toBe(svg.getAttribute('aria-describedby'));
+    expect(figure.querySelector(`#${figure.getAttribute('aria-describedby')}`).textContent).toBe('A leads to B');
+  });
+
+  it('should label pre-rendered SVGs without accTitle by their caption', async () => {
+    renderMock.mockImplementation(async (diagrams, { prefix }) =>
+      diagrams.map((definition, index) => ({
+        status: 'fulfilled',
+        value: { svg: `<svg id="${prefix}-${index}"></svg>` }
+      }))
+    );
+    const { rehype } = await setupIntegration({ renderMode: 'build' }, 'build');
+
+    const container = await renderRehype(rehype, '<pre><code class="language-mermaid" metastring="title=Flow">graph TD</code></pre>');
+    const figure = container.querySelector('figure.mermaid-figure');
+    const caption = figure.querySelector('figcaption');
+
+    expect(figure.querySelector('svg').getAttribute('aria-labelledby')).toBe(caption.id);
+    expect(figure.getAttribute('aria-labelledby')).toBe(caption.id);
+    expect(figure.hasAttribute('aria-describedby')).toBe(false);
+  });
+
+  it('should produce the same structure from the rehype plugin', async () => {
+    const { remark, rehype } = await setupIntegration({ showSource: true });
+
+    const source = 'graph LR\n    A --- B';
+    const fromRemark = await renderRemark(remark, `\`\`\`mermaid title=Flow\n${source}\n\`\`\``);
+    const fromRehype = await renderRehype(rehype, `<pre><code class="language-mermaid" metastring="title=Flow">${source}</code></pre>`);
+
+    const structure = (container) => Array.from(container.querySelector('figure').children, (child) => child.tagName);
+    expect(structure(fromRehype)).toEqual(structure(fromRemark));
+    expect(structure(fromRemark)).toEqual(['PRE', 'FIGCAPTION', 'DETAILS']);
+    expect(fromRehype.querySelector('details code').textContent).toBe(source);
+  });
+});
+
+describe('client-side accessibility', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should link the rendered SVG to the figure', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const { remark, clientScript } = await setupIntegration({ lazy: false });
+    const container = await renderRemark(remark, `\`\`\`mermaid title=Flow\n${diagram}\n\`\`\``);
+    document.body.innerHTML = container.innerHTML;
+
+    const mermaid = {
+      initialize: vi.fn(),
+      render: vi.fn(async (id) => ({
+        svg: `<svg id="${id}" aria-describedby="chart-desc-${id}"><desc id="chart-desc-${id}">A leads to B</desc></svg>`
+      }))
+    };
+    new Function('importMermaid', clientScript.replace("import('mermaid')", 'importMermaid()'))(
+      async () => ({ default: mermaid })
+    );
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const figure = document.querySelector('figure.mermaid-figure');
+    const caption = figure.querySelector('figcaption');
+    const svg = figure.querySelector('svg');
+
+    expect(svg.getAttribute('aria-labelledby')).toBe(caption.id);
+    expect(figure.getAttribute('aria-labelledby')).toBe(caption.id);
+    expect(document.getElementById(figure.getAttribute('aria-describedby')).textContent).toBe('A leads to B');
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect, vi } from 'vitest';
+import { fileURLToPath } from 'node:url';
+import { parseAst } from 'rollup/parseAst';
+import { remarkMermaidPlugin, renderMermaidFigure } from '../astro-mermaid-integration.js';
+import { runRemark, setupIntegration } from './helpers.js';
+
+const renderMock = vi.fn();
+
+vi.mock('mermaid-isomorphic', () => ({
+  createMermaidRenderer: () => renderMock
+}));
+
+const definition = 'graph TD\n    A --> B';
+const componentPath = fileURLToPath(new URL('../Mermaid.astro', import.meta.url));
+
+describe('<Mermaid> component support', () => {
+  it('should render the same figure markup as a mermaid fence', async () => {
+    const [fenceHtml] = await runRemark([remarkMermaidPlugin, {}], `\`\`\`mermaid title="Flow" align=left\n${definition}\n\`\`\``);
+
+    const html = await renderMermaidFigure(definition, { title: 'Flow', align: 'left' }, { filePath: '/posts/test' });
+
+    const withoutIds = (markup) => markup.replace(/mermaid-[0-9a-f]{8}-[0-9a-f]+/g, 'ID');
+    expect(withoutIds(html)).toBe(withoutIds(fenceHtml));
+  });
+
+  it('should derive the id from the diagram content unless one is given', async () => {
+    const first = await renderMermaidFigure(definition, {}, { filePath: '/posts/test' });
+    const again = await renderMermaidFigure(definition, {}, { filePath: '/about' });
+    const other = await renderMermaidFigure('graph LR\n    A --> B', {}, { filePath: '/posts/test' });
+    const explicit = await renderMermaidFigure(definition, { title: 'Flow' }, { filePath: '/posts/test', id: 'flow' });
+
+    const figureId = (markup) => markup.match(/<figure class="mermaid-figure" id="([^"]+)"/)[1];
+    expect(figureId(first)).toBe(figureId(again));
+    expect(figureId(first)).not.toBe(figureId(other));
+    expect(figureId(explicit)).toBe('flow');
+    expect(explicit).toContain('<figcaption id="flow-caption">');
+  });
+
+  it('should pre-render when the integration does', async () => {
+    renderMock.mockImplementation(async (diagrams, { prefix }) =>
+      diagrams.map(() => ({ status: 'fulfilled', value: { id: prefix, svg: `<svg id="${prefix}-0"></svg>` } }))
+    );
+
+    const html = await renderMermaidFigure(definition, { theme: 'forest' }, {
+      filePath: '/posts/test',
+      prerender: { mode: 'build', theme: 'default', mermaidConfig: {}, toolbar: false, copySource: false },
+      id: 'mermaid-component'
+    });
+
+    expect(renderMock.mock.calls[0][0]).toEqual(['%%{init: {"theme":"forest"}}%%\ngraph TD\n    A --> B']);
+    expect(html).toContain('data-prerendered="forest"><svg id="mermaid-component-0"></svg></pre>');
+  });
+
+  it('should reject invalid diagrams when validation is set to error', async () => {
+    await expect(renderMermaidFigure('graph TD\n    A -->', {}, { filePath: '/posts/test', validate: 'error', logger: { warn: vi.fn(), error: vi.fn() } }))
+      .rejects.toThrow(/1 invalid mermaid diagram/);
+  });
+
+  it('should expose the integration options and logger through a virtual module', async () => {
+    const { vitePlugins, logger } = await setupIntegration({ showSource: true, validate: 'warn' }, 'build');
+    const plugin = vitePlugins.find((p) => p.name === 'astro-mermaid:config');
+    const id = plugin.resolveId('virtual:astro-mermaid/config');
+    const source = plugin.load(id);
+
+    expect(id).toBe('\0virtual:astro-mermaid/config');
+    const module = await import(`data:text/javascript,${encodeURIComponent(source)}`);
+    expect(module.default).toEqual({ prerender: null, showSource: true, validate: 'warn', logger });
+  });
+
+  it('should keep the logger of each integration instance apart', async () => {
+    const loadConfig = async ({ vitePlugins }) => {
+      const plugin = vitePlugins.find((p) => p.name === 'astro-mermaid:config');
+      const source = plugin.load(plugin.resolveId('virtual:astro-mermaid/config'));
+      return (await import(`data:text/javascript,${encodeURIComponent(source)}`)).default;
+    };
+    const first = await setupIntegration({}, 'build');
+    const second = await setupIntegration({}, 'build');
+
+    expect((await loadConfig(first)).logger).toBe(first.logger);
+    expect((await loadConfig(second)).logger).toBe(second.logger);
+    expect(first.logger).not.toBe(second.logger);
+  });
+
+  it('should pass the calling file to each use of the component', async () => {
+    const { vitePlugins } = await setupIntegration({}, 'build');
+    const plugin = vitePlugins.find((p) => p.name === 'astro-mermaid:component-caller');
+    const context = {
+      parse: parseAst,
+      resolve: async (source) => ({ id: source === 'astro-mermaid/Mermaid.astro' ? componentPath : `/src/${source}` })
+    };
+    // Compiled the way Astro compiles a page
+    const page = [
+      "import Diagram from 'astro-mermaid/Mermaid.astro';",
+      "import Card from './Card.astro';",
+      "const $$Index = $$createComponent(($$result, $$props, $$slots) => {",
+      "return $$render`${$$renderComponent($$result,'Diagram',Diagram,{\"code\":(\"graph TD\")})}${$$renderComponent($$result,'Card',Card,{})}${$$renderComponent($$result,'Diagram',Diagram,{})}`;",
+      "}, '/src/pages/index.astro', undefined);"
+    ].join('\n');
+
+    const { code } = await plugin.transform.call(context, page, '/src/pages/index.astro');
+
+    expect(code).toContain(`Diagram,{"callerFile":"/src/pages/index.astro","code":("graph TD")})`);
+    expect(code).toContain('Card,{})');
+    expect(code).toContain(`Diagram,{"callerFile":"/src/pages/index.astro",})`);
+
+    const mdx = "import Mermaid from 'astro-mermaid/Mermaid.astro';\nexport default function MDXContent() { return _jsx(Mermaid, { code: 'graph LR' }); }";
+    expect((await plugin.transform.call(context, mdx, '/src/content/posts/post.mdx')).code)
+      .toContain(`_jsx(Mermaid, {"callerFile":"/src/content/posts/post.mdx", code: 'graph LR' })`);
+    expect(await plugin.transform.call(context, page, '/src/pages/index.astro?astro&type=style&index=0&lang.css')).toBeUndefined();
+    expect(await plugin.transform.call(context, "import Card from './Card.astro';", '/src/pages/other.astro')).toBeUndefined();
+  });
+
+  it('should report invalid diagrams at the calling file through the given logger', async () => {
+    const logger = { warn: vi.fn(), error: vi.fn() };
+
+    await renderMermaidFigure('graph TD\n    A -->', {}, { filePath: '/src/pages/index.astro', validate: 'warn', logger });
+
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/^Invalid mermaid block #1 at \/src\/pages\/index\.astro: /));
+  });
+});
@@ -0,0 +1,213 @@
+// @vitest-environment happy-dom
+import { describe, it, expect, vi, beforeEach, afterEach, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { fromHtml } from 'hast-util-from-html';
+import { visit } from 'unist-util-visit';
+import astroMermaid from '../astro-mermaid-integration.js';
+import { runRemark, setupIntegration } from './helpers.js';
+
+const renderMock = vi.fn();
+
+vi.mock('mermaid-isomorphic', () => ({
+  createMermaidRenderer: () => renderMock
+}));
+
+let root;
+
+const setup = (options = {}, command) => setupIntegration({ lazy: false, ...options }, command, { root: pathToFileURL(`${root}/`) });
+
+// Load a virtual module the way Vite would
+async function loadVirtualModule(vitePlugins, id) {
+  const plugin = vitePlugins.find((p) => p.name === 'astro-mermaid:icon-packs');
+  return plugin.load(plugin.resolveId(id));
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// The policy the nonce option documents, and the same without the style attribute allowance
+const documentedPolicy = "default-src 'self'; style-src 'self' 'nonce-r4nd0m'; style-src-attr 'unsafe-inline'";
+const nonceOnlyPolicy = "default-src 'self'; style-src 'self' 'nonce-r4nd0m'";
+
+// Inline styles and scripts of an HTML fragment that a Content-Security-Policy blocks
+function cspViolations(html, policy) {
+  const directives = new Map(policy.split(';').map((directive) => {
+    const [name, ...sources] = directive.trim().split(/\s+/);
+    return [name, sources];
+  }));
+  const sources = (...names) => directives.get(names.find((name) => directives.has(name))) || [];
+  const allows = (allowed, nonce) => allowed.includes("'unsafe-inline'") || (!!nonce && allowed.includes(`'nonce-${nonce}'`));
+
+  const elementSources = sources('style-src-elem', 'style-src', 'default-src');
+  const attributeSources = sources('style-src-attr', 'style-src', 'default-src');
+  const scriptSources = sources('script-src-elem', 'script-src', 'default-src');
+  const violations = [];
+  visit(fromHtml(html, { fragment: true }), 'element', (node) => {
+    const { nonce, style } = node.properties;
+    if ((node.tagName === 'style' && !allows(elementSources, nonce))
+      || (node.tagName === 'script' && !allows(scriptSources, nonce))
+      || (style !== undefined && !allows(attributeSources))) {
+      violations.push(node.tagName);
+    }
+  });
+  return violations;
+}
+
+// What mermaid renders: an embedded stylesheet plus style attributes on shapes and HTML labels
+const mermaidSvg = (id) => `<svg id="${id}"><style>#${id}{fill:red}</style><g class="node"><rect style="fill:#f9f;stroke:#333"></rect>`
+  + '<foreignObject><div style="display: table-cell;">A</div></foreignObject></g></svg>';
+
+const icons = { prefix: 'test', icons: { box: { body: '<rect width="16" height="16"/>' } } };
+
+describe('CSP-safe delivery', () => {
+  beforeAll(async () => {
+    root = await mkdtemp(join(tmpdir(), 'astro-mermaid-'));
+    const packageDir = join(root, 'node_modules/@iconify-json/test');
+    await mkdir(packageDir, { recursive: true });
+    await writeFile(join(packageDir, 'package.json'), JSON.stringify({
+      name: '@iconify-json/test',
+      exports: { './icons.json': './icons.json' }
+    }));
+    await writeFile(join(packageDir, 'icons.json'), JSON.stringify(icons));
+  });
+
+  afterAll(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    document.body.innerHTML = '';
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should ship the CSS as a stylesheet import instead of an inline <style>', async () => {
+    const { injectScript } = await setup();
+
+    const clientScript = injectScript.mock.calls[0][1];
+    const [stage, cssImport] = injectScript.mock.calls[1];
+    const stylesheet = await readFile(JSON.parse(cssImport.match(/^import (".*");$/)[1]), 'utf8');
+
+    expect(stage).toBe('page-ssr');
+    expect(stylesheet).toContain('pre.mermaid {');
+    expect(stylesheet).toContain('.mermaid-error {');
+    expect(clientScript).not.toContain("createElement('style')");
+    expect(clientScript).not.toContain('new Function');
+    expect(clientScript).not.toContain('style="');
+  });
+
+  it('should resolve icon packs from inline icons, packages and loaders at build time', async () => {
+    const prefix = 'closure';
+    const { vitePlugins, injectScript } = await setup({
+      iconPacks: [
+        { name: 'inline', icons },
+        { name: 'test', package: '@iconify-json/test' },
+        // Closes over a variable, which the old loader.toString() round trip lost
+        { name: 'loaded', loader: async () => ({ ...icons, prefix }) }
+      ]
+    });
+
+    const index = await loadVirtualModule(vitePlugins, 'virtual:astro-mermaid/icon-packs');
+    expect(index).toContain('{ name: "inline", loader: () => import(\'virtual:astro-mermaid/icon-packs/0\')');
+    expect(index).toContain('{ name: "loaded", loader: () => import(\'virtual:astro-mermaid/icon-packs/2\')');
+
+    expect(await loadVirtualModule(vitePlugins, 'virtual:astro-mermaid/icon-packs/0')).toBe(`export default ${JSON.stringify(icons)};`);
+    expect(await loadVirtualModule(vitePlugins, 'virtual:astro-mermaid/icon-packs/1')).toBe(`export default ${JSON.stringify(icons)};`);
+    expect(await loadVirtualModule(vitePlugins, 'virtual:astro-mermaid/icon-packs/2')).toContain('"prefix":"closure"');
+
+    const clientScript = injectScript.mock.calls[0][1];
+    expect(clientScript).toContain("await import('virtual:astro-mermaid/icon-packs')");
+    expect(clientScript).not.toContain('closure');
+  });
+
+  it('should report icon packs that cannot be loaded', async () => {
+    const { vitePlugins } = await setup({ iconPacks: [{ name: 'missing', package: '@iconify-json/missing' }] });
+
+    await expect(loadVirtualModule(vitePlugins, 'virtual:astro-mermaid/icon-packs/0'))
+      .rejects.toThrow(/Cannot load icon pack "missing"/);
+  });
+
+  it('should reject icon packs without exactly one source', () => {
+    expect(() => astroMermaid({ iconPacks: [{ name: 'none' }] })).toThrow(/Invalid icon pack "none"/);
+    expect(() => astroMermaid({ iconPacks: [{ name: 'both', icons, package: '@iconify-json/test' }] }))
+      .toThrow(/Invalid icon pack "both"/);
+  });
+
+  it('should reject nonces that would break out of the attribute', () => {
+    expect(() => astroMermaid({ nonce: 'abc" onload="x' })).toThrow(/Invalid nonce/);
+  });
+
+  it('should add the nonce to the styles of pre-rendered SVGs', async () => {
+    renderMock.mockResolvedValue([
+      { status: 'fulfilled', value: { svg: '<svg id="a"><style>#a{fill:red}</style><g></g></svg>' } }
+    ]);
+    const { remark } = await setup({ renderMode: 'build', nonce: 'r4nd0m' }, 'build');
+
+    const html = (await runRemark(remark, '```mermaid\ngraph TD\n    A --> B\n```')).join('');
+
+    expect(html).toContain('<svg id="a"><style nonce="r4nd0m">#a{fill:red}</style>');
+  });
+
+  it('should add the nonce to client-rendered SVGs and build error messages from DOM nodes', async () => {
+    const { injectScript } = await setup({ nonce: 'r4nd0m' });
+    document.body.innerHTML = '<pre class="mermaid">graph TD\n    A --> B</pre><pre class="mermaid">graph TD\n    A --></pre>';
+    const mermaid = {
+      initialize: vi.fn(),
+      render: vi.fn(async (id, definition) => {
+        if (definition.endsWith('-->')) {
+          throw new Error('<img src=x onerror=alert(1)>');
+        }
+        return { svg: `<svg id="${id}"><style>#${id}{}</style></svg>` };
+      })
+    };
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    new Function('importMermaid', injectScript.mock.calls[0][1].replace("import('mermaid')", 'importMermaid()'))(
+      async () => ({ default: mermaid })
+    );
+    await flush();
+
+    const [rendered, failed] = document.querySelectorAll('pre.mermaid');
+    expect(rendered.querySelector('style').getAttribute('nonce')).toBe('r4nd0m');
+    const errorBox = failed.querySelector('.mermaid-error');
+    expect(errorBox.querySelector('strong').nextSibling.nextSibling.textContent).toBe('<img src=x onerror=alert(1)>');
+    expect(failed.querySelector('img')).toBeNull();
+  });
+
+  it('should pre-render diagrams that keep their styles under the documented policy', async () => {
+    renderMock.mockResolvedValue([{ status: 'fulfilled', value: { svg: mermaidSvg('a') } }]);
+    const { remark } = await setup({ renderMode: 'build', nonce: 'r4nd0m' }, 'build');
+
+    const html = (await runRemark(remark, '```mermaid\ngraph TD\n    A --> B\n```')).join('');
+
+    expect(html).toContain('<style nonce="r4nd0m">');
+    expect(cspViolations(html, documentedPolicy)).toEqual([]);
+    expect(cspViolations(html, nonceOnlyPolicy)).toEqual(['rect', 'div']);
+  });
+
+  it('should render diagrams in the browser that keep their styles under the documented policy', async () => {
+    const { injectScript } = await setup({ nonce: 'r4nd0m' });
+    document.body.innerHTML = '<pre class="mermaid">graph TD\n    A --> B</pre>';
+    // happy-dom drops what follows a <style> inside an SVG, check the markup handed to the page instead
+    const inserted = vi.spyOn(document.querySelector('pre.mermaid'), 'innerHTML', 'set');
+    const mermaid = {
+      initialize: vi.fn(),
+      render: vi.fn(async (id) => ({ svg: mermaidSvg(id) }))
+    };
+
+    new Function('importMermaid', injectScript.mock.calls[0][1].replace("import('mermaid')", 'importMermaid()'))(
+      async () => ({ default: mermaid })
+    );
+    await flush();
+
+    const html = inserted.mock.calls.at(-1)[0];
+    expect(html).toContain('<style nonce="r4nd0m">');
+    expect(cspViolations(html, documentedPolicy)).toEqual([]);
+    expect(cspViolations(html, nonceOnlyPolicy)).toEqual(['rect', 'div']);
+  });
+});
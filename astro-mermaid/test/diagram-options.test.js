@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import { unified } from 'unified';
+import rehypeParse from 'rehype-parse';
+import rehypeStringify from 'rehype-stringify';
+import { runRemark, setupIntegration } from './helpers.js';
+
+describe('per-diagram options', () => {
+  describe('remark plugin', () => {
+    it('should turn fence meta into data attributes', async () => {
+      const { remark } = await setupIntegration();
+
+      const [html] = await runRemark(remark, `
+\`\`\`mermaid theme=forest title="Request lifecycle" align=left
+graph TD
+    A --> B
+\`\`\`
+`);
+
+      expect(html).toContain(
+        '<pre class="mermaid" data-mermaid-theme="forest" data-title="Request lifecycle" data-align="left" ' +
+        'data-source-file="/posts/test.md" data-source-line="3">' +
+        'graph TD\n    A --&gt; B</pre>'
+      );
+    });
+
+    it('should accept mermaid config overrides as JSON', async () => {
+      const { remark } = await setupIntegration();
+
+      const [html] = await runRemark(remark, `
+\`\`\`mermaid config='{"flowchart":{"curve":"basis"}}'
+graph TD
+    A --> B
+\`\`\`
+`);
+
+      expect(html).toContain('data-mermaid-config="{&quot;flowchart&quot;:{&quot;curve&quot;:&quot;basis&quot;}}"');
+    });
+
+    it('should warn about and drop invalid options', async () => {
+      const { remark, logger } = await setupIntegration();
+
+      const [html] = await runRemark(remark, `
+\`\`\`mermaid theme=sepia align=middle config={oops} zoom
+graph TD
+    A --> B
+\`\`\`
+`);
+
+      expect(html).toMatch(/^<figure class="mermaid-figure" id="mermaid-[0-9a-f]{8}"><pre class="mermaid" data-source-file="\/posts\/test\.md" data-source-line="\d+">graph TD\n    A --&gt; B<\/pre><\/figure>$/);
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('unknown mermaid theme "sepia"'));
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('invalid diagram alignment "middle"'));
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('invalid diagram config'));
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('unknown mermaid fence option "zoom"'));
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('/posts/test.md'));
+    });
+  });
+
+  describe('rehype plugin', () => {
+    it('should read the meta remark-rehype keeps on the code element', async () => {
+      const { rehype } = await setupIntegration();
+
+      const tree = {
+        type: 'root',
+        children: [{
+          type: 'element',
+          tagName: 'pre',
+          properties: {},
+          children: [{
+            type: 'element',
+            tagName: 'code',
+            properties: { className: ['language-mermaid'] },
+            data: { meta: 'theme=neutral title="Request lifecycle" align=right' },
+            children: [{ type: 'text', value: 'graph TD\n    A --> B' }]
+          }]
+        }]
+      };
+
+      await unified().use(rehype[0], rehype[1]).run(tree, { path: '/posts/test.mdx' });
+
+      expect(tree.children[0].tagName).toBe('figure');
+      expect(tree.children[0].children[0].properties).toEqual({
+        className: ['mermaid'],
+        'data-mermaid-theme': 'neutral',
+        'data-title': 'Request lifecycle',
+        'data-align': 'right'
+      });
+    });
+
+    it('should produce the same attributes as the remark plugin', async () => {
+      const { rehype } = await setupIntegration();
+
+      const processor = unified()
+        .use(rehypeParse, { fragment: true })
+        .use(rehype[0], rehype[1])
+        .use(rehypeStringify);
+
+      const output = String(await processor.process(
+        '<pre><code class="language-mermaid" metastring="theme=forest title=&quot;Request lifecycle&quot; align=left">graph TD</code></pre>'
+      ));
+
+      expect(output).toContain(
+        '<pre class="mermaid" data-mermaid-theme="forest" data-title="Request lifecycle" data-align="left">graph TD</pre>'
+      );
+    });
+  });
+
+  describe('client script', () => {
+    it('should apply overrides from data attributes when rendering', async () => {
+      const { clientScript } = await setupIntegration();
+
+      expect(clientScript).toContain('function applyDiagramOverrides(definition, overrides)');
+      expect(clientScript).toContain("diagram.getAttribute('data-mermaid-theme')");
+      expect(clientScript).toContain("diagram.getAttribute('data-mermaid-config')");
+    });
+
+    it('should place the init directive after frontmatter', async () => {
+      const { clientScript } = await setupIntegration();
+
+      // Evaluate the helper exactly as the browser receives it
+      const start = clientScript.indexOf('function applyDiagramOverrides');
+      const end = clientScript.indexOf('\nfunction getDiagramOverrides');
+      const applyDiagramOverrides = new Function(`${clientScript.slice(start, end)}; return applyDiagramOverrides;`)();
+
+      expect(applyDiagramOverrides('graph TD', {})).toBe('graph TD');
+      expect(applyDiagramOverrides('graph TD', { theme: 'forest' }))
+        .toBe('%%{init: {"theme":"forest"}}%%\ngraph TD');
+      expect(applyDiagramOverrides('---\ntitle: Flow\n---\ngraph TD', { theme: 'forest' }))
+        .toBe('---\ntitle: Flow\n---\n%%{init: {"theme":"forest"}}%%\ngraph TD');
+    });
+  });
+});
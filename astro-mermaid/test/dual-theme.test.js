@@ -0,0 +1,161 @@
+// @vitest-environment happy-dom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import astroMermaid from '../astro-mermaid-integration.js';
+import { runRemark, setupIntegration } from './helpers.js';
+
+const renderMock = vi.fn();
+
+vi.mock('mermaid-isomorphic', () => ({
+  createMermaidRenderer: () => renderMock
+}));
+
+const setup = (options = {}, command) => setupIntegration({ lazy: false, dualTheme: true, ...options }, command);
+
+function runClientScript(clientScript, mermaid) {
+  const importMermaid = vi.fn(async () => ({ default: mermaid }));
+  new Function('importMermaid', clientScript.replace("import('mermaid')", 'importMermaid()'))(importMermaid);
+  return importMermaid;
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 10));
+
+const markdown = '```mermaid title=Flow\ngraph TD\n    A --> B\n```';
+
+describe('dual-theme rendering', () => {
+  let mermaid;
+
+  beforeEach(() => {
+    // Start from a fresh document so theme observers from earlier tests stay detached
+    const html = document.createElement('html');
+    html.append(document.createElement('head'), document.createElement('body'));
+    document.documentElement.remove();
+    document.appendChild(html);
+
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    document.documentElement.setAttribute('data-theme', 'light');
+    renderMock.mockReset();
+    renderMock.mockImplementation(async (diagrams, { prefix, mermaidConfig }) =>
+      diagrams.map((diagram, index) => ({
+        status: 'fulfilled',
+        value: { svg: `<svg id="${prefix}-${index}" data-theme="${mermaidConfig.theme}"></svg>` }
+      }))
+    );
+    mermaid = {
+      initialize: vi.fn(),
+      render: vi.fn(async (id, definition) => ({ svg: `<svg id="${id}"><desc>${definition.split('\n')[0]}</desc></svg>` }))
+    };
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should reject unknown family themes', () => {
+    expect(() => astroMermaid({ dualTheme: { dark: 'midnight' } }))
+      .toThrow(/Invalid dualTheme dark theme "midnight"/);
+  });
+
+  it('should pre-render a light and a dark SVG per diagram', async () => {
+    const { remark } = await setup({ renderMode: 'build', dualTheme: { light: 'neutral' } }, 'build');
+
+    const html = (await runRemark(remark, markdown)).join('');
+
+    const [[, light], [, dark]] = renderMock.mock.calls;
+    expect([light.mermaidConfig.theme, dark.mermaidConfig.theme]).toEqual(['neutral', 'dark']);
+    expect(light.prefix).toMatch(/-light$/);
+    expect(dark.prefix).toBe(light.prefix.replace(/-light$/, '-dark'));
+    const captionId = html.match(/<figcaption id="([^"]+)"/)[1];
+    expect(html).toContain(`data-prerendered="neutral dark"><svg aria-labelledby="${captionId}" data-mermaid-family="light" id="${light.prefix}-0" data-theme="neutral"></svg>` +
+      `<svg aria-labelledby="${captionId}" data-mermaid-family="dark" id="${dark.prefix}-0" data-theme="dark"></svg></pre>`);
+  });
+
+  it('should render diagrams pinning their own theme only once', async () => {
+    const { remark } = await setup({ renderMode: 'build' }, 'build');
+
+    const html = (await runRemark(remark, '```mermaid theme=forest\ngraph TD\n    A --> B\n```')).join('');
+
+    expect(renderMock).toHaveBeenCalledOnce();
+    expect(renderMock.mock.calls[0][0][0]).toMatch(/^%%\{init: \{"theme":"forest"\}\}%%/);
+    expect(html).toMatch(/data-prerendered="forest"><svg id="[^"]+-light-0" data-theme="default"><\/svg><\/pre>/);
+    expect(html).not.toContain('data-mermaid-family');
+  });
+
+  it('should ship a stylesheet switching families with data-theme', async () => {
+    const { vitePlugins, injectScript } = await setup({ theme: 'default', themeMap: { midnight: 'dark', paper: 'neutral' } });
+
+    const plugin = vitePlugins.find((p) => p.name === 'astro-mermaid:dual-theme');
+    const css = plugin.load(plugin.resolveId('virtual:astro-mermaid/dual-theme.css'));
+
+    expect(injectScript).toHaveBeenCalledWith('page-ssr', "import 'virtual:astro-mermaid/dual-theme.css';");
+    expect(css).toContain('svg[data-mermaid-family="dark"] {\n  display: none;\n}');
+    expect(css).toMatch(/:is\([^)]*\[data-theme="midnight"\][^)]*\) svg\[data-mermaid-family="dark"\] \{\n {2}display: inline;/);
+    expect(css).toMatch(/:is\([^)]*\[data-theme="dracula"\][^)]*\) svg\[data-mermaid-family="light"\] \{\n {2}display: none;/);
+    expect(css).not.toContain('"paper"');
+  });
+
+  it('should render both families on the client and switch themes without re-rendering', async () => {
+    const { remark, clientScript } = await setup();
+    document.body.innerHTML = (await runRemark(remark, markdown)).join('');
+
+    runClientScript(clientScript, mermaid);
+    await flush();
+
+    const figure = document.querySelector('figure.mermaid-figure');
+    expect(mermaid.render.mock.calls.map(([id, definition]) => [id, definition.split('\n')[0]])).toEqual([
+      [`${figure.id}-svg-light`, '%%{init: {"theme":"default"}}%%'],
+      [`${figure.id}-svg-dark`, '%%{init: {"theme":"dark"}}%%']
+    ]);
+    const svgs = figure.querySelectorAll('pre.mermaid > svg');
+    expect(Array.from(svgs, svg => svg.getAttribute('data-mermaid-family'))).toEqual(['light', 'dark']);
+    expect(Array.from(svgs, svg => svg.getAttribute('aria-labelledby'))).toEqual([`${figure.id}-caption`, `${figure.id}-caption`]);
+
+    document.documentElement.setAttribute('data-theme', 'dark');
+    await flush();
+
+    expect(mermaid.render).toHaveBeenCalledTimes(2);
+    expect(figure.querySelector('pre.mermaid').hasAttribute('data-stale')).toBe(false);
+  });
+
+  it('should keep pre-rendered dual-theme diagrams in hybrid mode without loading mermaid', async () => {
+    const { remark, clientScript } = await setup({ renderMode: 'hybrid', autoThemeVariables: true }, 'build');
+    document.body.innerHTML = (await runRemark(remark, markdown)).join('');
+    document.documentElement.setAttribute('data-theme', 'dracula');
+
+    const importMermaid = runClientScript(clientScript, mermaid);
+    await flush();
+
+    expect(importMermaid).not.toHaveBeenCalled();
+    expect(document.querySelectorAll('pre.mermaid > svg[data-mermaid-family]')).toHaveLength(2);
+  });
+
+  it('should ignore autoThemeVariables, which needs the page colors', async () => {
+    const { clientScript, logger } = await setup({ autoThemeVariables: true });
+
+    expect(logger.warn).toHaveBeenCalledWith('autoThemeVariables is ignored when dualTheme is enabled');
+    expect(clientScript).toContain('const themeVariablesConfig = null;');
+  });
+
+  it('should pan and zoom both families together and export the visible one', async () => {
+    const { remark, clientScript } = await setup({ viewer: true, toolbar: { items: ['svg'] } });
+    document.body.innerHTML = (await runRemark(remark, markdown)).join('');
+
+    runClientScript(clientScript, mermaid);
+    await flush();
+
+    const diagram = document.querySelector('pre.mermaid');
+    const [light, dark] = diagram.querySelectorAll(':scope > svg');
+    light.style.display = 'none';
+    document.querySelector('[aria-label="Zoom in"]').click();
+    expect(light.style.transform).toBe(dark.style.transform);
+    expect(dark.style.transform).toContain('scale(1.2');
+
+    let exported;
+    vi.spyOn(URL, 'createObjectURL').mockImplementation((blob) => {
+      exported = blob;
+      return 'blob:diagram';
+    });
+    vi.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+    document.querySelector('.mermaid-toolbar button').click();
+    expect(await exported.text()).toContain('"theme":"dark"');
+  });
+});
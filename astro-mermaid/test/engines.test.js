@@ -0,0 +1,129 @@
+// @vitest-environment happy-dom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { unified } from 'unified';
+import rehypeParse from 'rehype-parse';
+import rehypeStringify from 'rehype-stringify';
+import astroMermaid, { graphviz, remarkMermaidPlugin, rehypeMermaidPlugin } from '../astro-mermaid-integration.js';
+import * as graphvizModule from '../engines/graphviz.js';
+import { runRemark, setupIntegration } from './helpers.js';
+
+const setup = (options = {}, command) => setupIntegration({ lazy: false, engines: [graphviz()], ...options }, command);
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 10));
+
+const dot = 'digraph {\n    Client -> Server\n}';
+
+describe('diagram engine registry', () => {
+  beforeEach(() => {
+    // Start from a fresh document so theme observers from earlier tests stay detached
+    const html = document.createElement('html');
+    html.append(document.createElement('head'), document.createElement('body'));
+    document.documentElement.remove();
+    document.appendChild(html);
+
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    document.documentElement.setAttribute('data-theme', 'light');
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should route registered fence languages to their engine', async () => {
+    const html = await runRemark([remarkMermaidPlugin, { engines: [graphviz()] }], `\`\`\`dot title=Flow\n${dot}\n\`\`\`\n\n\`\`\`mermaid\ngraph TD\n\`\`\``);
+
+    expect(html).toHaveLength(2);
+    expect(html[0]).toMatch(/^<figure class="mermaid-figure" id="mermaid-[0-9a-f]{8}"><pre class="mermaid" data-engine="graphviz" data-title="Flow">digraph \{\n    Client -&gt; Server\n\}<\/pre>/);
+    expect(html[1]).not.toContain('data-engine');
+  });
+
+  it('should leave unregistered languages alone', async () => {
+    const html = await runRemark([remarkMermaidPlugin, {}], `\`\`\`dot\n${dot}\n\`\`\``);
+
+    expect(html).toHaveLength(0);
+  });
+
+  it('should recognise engine languages in the rehype plugin', async () => {
+    const processor = unified()
+      .use(rehypeParse, { fragment: true })
+      .use(rehypeMermaidPlugin, { engines: [graphviz()] })
+      .use(rehypeStringify);
+
+    const output = String(await processor.process('<pre><code class="language-graphviz">digraph { a -> b }</code></pre>'));
+
+    expect(output).toContain('<pre class="mermaid" data-engine="graphviz">digraph { a -&#x26;gt; b }</pre>');
+  });
+
+  it('should reject engines claiming a language twice or missing their module', () => {
+    expect(() => astroMermaid({ engines: [graphviz({ languages: ['mermaid'] })] }))
+      .toThrow(/Fence language "mermaid" is claimed by both "mermaid" and "graphviz"/);
+    expect(() => astroMermaid({ engines: [{ name: 'd2', languages: ['d2'] }] }))
+      .toThrow(/Invalid diagram engine "d2", expected the module that renders it/);
+  });
+
+  it('should pre-render graphviz diagrams with WASM at build time', async () => {
+    const { remark } = await setup({ renderMode: 'build', theme: 'dark' }, 'build');
+
+    const [html] = await runRemark(remark, `\`\`\`dot\n${dot}\n\`\`\``);
+
+    expect(html).toMatch(/<pre class="mermaid" data-engine="graphviz" data-processed="true" data-prerendered="dark"><svg id="(mermaid-[0-9a-f]{8})-svg" /);
+    expect(html).toContain('<title>Client&#45;&gt;Server</title>');
+    expect(html).toContain('stroke="#cccccc"');
+    expect(html).not.toContain('<?xml');
+  });
+
+  it('should prefix the gradient references of pre-rendered graphviz diagrams with their ids', async () => {
+    const { remark } = await setup({ renderMode: 'build' }, 'build');
+
+    const [html] = await runRemark(remark, '```dot\ndigraph {\n    a [style=filled fillcolor="red:blue" URL="#intro"]\n}\n```');
+    const [, id] = html.match(/<svg id="(mermaid-[0-9a-f]{8}-svg)"/);
+
+    const [, gradient] = html.match(/<linearGradient id="([^"]+)"/);
+    expect(gradient.startsWith(`${id}-`)).toBe(true);
+    expect(html).toContain(`fill="url(#${gradient})"`);
+    expect(html).toContain('xlink:href="#intro"');
+  });
+
+  it('should validate graphviz diagrams with their line', async () => {
+    const { remark, logger } = await setup({ validate: 'error' });
+
+    await expect(runRemark(remark, 'Intro\n\n```dot\ndigraph { a -> }\n```'))
+      .rejects.toThrow(/1 invalid graphviz diagram in \/posts\/test\.md/);
+    expect(logger.error).toHaveBeenCalledWith(expect.stringMatching(/^Invalid graphviz block #1 at \/posts\/test\.md:3: .*syntax error/));
+  });
+
+  it('should render engine diagrams on the client with the shared theme machinery', async () => {
+    const { remark, clientScript } = await setup();
+    document.body.innerHTML = (await runRemark(remark, `\`\`\`dot config='{"engine":"neato"}'\n${dot}\n\`\`\``)).join('');
+    const render = vi.fn(graphvizModule.render);
+    const importEngine = vi.fn(async () => ({ render }));
+
+    new Function('importEngine', clientScript.replace(/import\("[^"]*engines\/graphviz\.js"\)/, 'importEngine()'))(importEngine);
+    await flush();
+
+    const diagram = document.querySelector('pre.mermaid');
+    expect(importEngine).toHaveBeenCalledOnce();
+    expect(render).toHaveBeenCalledWith(dot, expect.objectContaining({ theme: 'default', config: { engine: 'neato' }, id: `${diagram.closest('figure').id}-svg` }));
+    expect(diagram.hasAttribute('data-processed')).toBe(true);
+    expect(diagram.querySelector('svg').id).toBe(`${diagram.closest('figure').id}-svg`);
+
+    document.documentElement.setAttribute('data-theme', 'dark');
+    await flush();
+
+    expect(render).toHaveBeenLastCalledWith(dot, expect.objectContaining({ theme: 'dark' }));
+    expect(diagram.querySelector('path').getAttribute('stroke')).toBe('#cccccc');
+  });
+
+  it('should show the shared error box when an engine fails', async () => {
+    const { remark, clientScript } = await setup();
+    document.body.innerHTML = (await runRemark(remark, '```graphviz\ndigraph { a -> }\n```')).join('');
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    new Function('importEngine', clientScript.replace(/import\("[^"]*engines\/graphviz\.js"\)/, 'importEngine()'))(
+      async () => graphvizModule
+    );
+    await flush();
+
+    expect(document.querySelector('.mermaid-error').textContent).toContain('syntax error');
+  });
+});
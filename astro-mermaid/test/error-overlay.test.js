@@ -0,0 +1,130 @@
+// @vitest-environment happy-dom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import astroMermaid from '../astro-mermaid-integration.js';
+import { runRemark, setupIntegration } from './helpers.js';
+
+const setup = (options = {}, command) => setupIntegration({ lazy: false, ...options }, command);
+
+// Render Markdown with the remark plugin and run the client script over it, like a page load
+async function loadPage(markdown, mermaid, options, command) {
+  const { remark, clientScript } = await setup(options, command);
+  const html = await runRemark(remark, markdown, '/site/src/content/posts/test.md');
+  document.body.innerHTML = html.join('');
+
+  new Function('importMermaid', clientScript.replace("import('mermaid')", 'importMermaid()'))(
+    async () => ({ default: mermaid })
+  );
+  await flush();
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 10));
+
+// Mermaid's parser reports the failing line on the error's hash, counted in the rendered definition
+function parseError(line) {
+  return Object.assign(new Error(`Parse error on line ${line}:\n...A -->\n-----^`), { hash: { loc: { first_line: line } } });
+}
+
+const markdown = 'Intro\n\n```mermaid title=Flow theme=forest\ngraph TD\n    A -->\n```';
+
+describe('broken diagrams', () => {
+  let mermaid;
+
+  beforeEach(() => {
+    // Start from a fresh document so theme observers from earlier tests stay detached
+    const html = document.createElement('html');
+    html.append(document.createElement('head'), document.createElement('body'));
+    document.documentElement.remove();
+    document.appendChild(html);
+
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    mermaid = {
+      initialize: vi.fn(),
+      render: vi.fn(async () => {
+        // The init directive for theme=forest pushes the source down a line
+        throw parseError(3);
+      })
+    };
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should reject unknown error fallbacks', () => {
+    expect(() => astroMermaid({ errorFallback: 'explode' })).toThrow(/Invalid errorFallback "explode"/);
+  });
+
+  it('should only add source locations during astro dev', async () => {
+    const { remark } = await setup({}, 'build');
+    const [html] = await runRemark(remark, markdown, '/site/src/content/posts/test.md');
+    expect(html).not.toContain('data-source-file');
+  });
+
+  it('should show the numbered source with the failing line in dev', async () => {
+    await loadPage(markdown, mermaid);
+
+    const diagram = document.querySelector('pre.mermaid');
+    expect(diagram.getAttribute('data-source-line')).toBe('4');
+    const items = diagram.querySelectorAll('.mermaid-error ol.mermaid-error-source > li');
+    expect(Array.from(items, item => item.textContent)).toEqual(['graph TD', '    A -->']);
+    expect(items[1].className).toBe('mermaid-error-line');
+    expect(items[0].className).toBe('');
+  });
+
+  it('should link the failing line to the editor through the dev server', async () => {
+    const fetchMock = vi.fn(async () => new Response(''));
+    vi.stubGlobal('fetch', fetchMock);
+    await loadPage(markdown, mermaid);
+
+    const link = document.querySelector('.mermaid-error a.mermaid-error-location');
+    expect(link.textContent).toBe('/site/src/content/posts/test.md:5');
+    expect(link.getAttribute('href')).toBe(`/__open-in-editor?file=${encodeURIComponent('/site/src/content/posts/test.md:5')}`);
+
+    link.click();
+    expect(fetchMock).toHaveBeenCalledWith(link.href);
+    vi.unstubAllGlobals();
+  });
+
+  it('should report the first broken diagram to the dev error overlay', async () => {
+    const overlays = [];
+    customElements.define('vite-error-overlay', class extends HTMLElement {
+      constructor(err) {
+        super();
+        overlays.push(err);
+      }
+    });
+
+    await loadPage(`${markdown}\n\n\`\`\`mermaid\ngraph LR\n    B -->\n\`\`\``, mermaid);
+
+    expect(overlays).toHaveLength(1);
+    expect(overlays[0]).toMatchObject({
+      name: 'MermaidError',
+      message: expect.stringContaining('Parse error on line 3'),
+      loc: { file: '/site/src/content/posts/test.md', line: 5 },
+      plugin: 'astro-mermaid'
+    });
+    expect(overlays[0].highlightedCode).toBe('<span class="line">graph TD</span>\n<span class="line error-line">    A --&gt;</span>');
+    expect(overlays[0].frame).toBe('  1 | graph TD\n> 2 |     A -->');
+  });
+
+  it('should show the source as a code block in production by default', async () => {
+    await loadPage(markdown, mermaid, {}, 'build');
+
+    const fallback = document.querySelector('pre.mermaid > .mermaid-fallback');
+    expect(fallback.getAttribute('data-fallback')).toBe('source');
+    expect(fallback.querySelector('code').textContent).toBe('graph TD\n    A -->');
+    expect(document.querySelector('.mermaid-error')).toBeNull();
+    expect(document.querySelector('.mermaid-error-source')).toBeNull();
+  });
+
+  it('should show only the message or hide the diagram when configured', async () => {
+    await loadPage(markdown, mermaid, { errorFallback: 'message' }, 'build');
+    expect(document.querySelector('.mermaid-error').textContent).toBe('Error rendering diagram:Parse error on line 3:\n...A -->\n-----^');
+
+    await loadPage(markdown, mermaid, { errorFallback: 'hide' }, 'build');
+    const fallback = document.querySelector('pre.mermaid > .mermaid-fallback');
+    expect(fallback.getAttribute('data-fallback')).toBe('hide');
+    expect(fallback.childNodes).toHaveLength(0);
+  });
+});
@@ -0,0 +1,205 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import { EventEmitter } from 'node:events';
+import { mkdtemp, mkdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { glob } from 'astro/loaders';
+import { unified } from 'unified';
+import remarkParse from 'remark-parse';
+import { visit } from 'unist-util-visit';
+import { remarkMermaidPlugin } from '../astro-mermaid-integration.js';
+import { setupIntegration } from './helpers.js';
+
+let root;
+let postPath;
+
+const setup = (command = 'build') => setupIntegration({}, command, { root: pathToFileURL(`${root}/`), srcDir: pathToFileURL(`${root}/src/`) });
+
+async function runRemark([plugin, pluginOptions], tree) {
+  await unified().use(plugin, pluginOptions).run(tree, { path: postPath });
+
+  const html = [];
+  visit(tree, 'html', (node) => {
+    html.push(node.value);
+  });
+  return html;
+}
+
+const parse = (markdown) => unified().use(remarkParse).parse(markdown);
+
+describe('external diagram files', () => {
+  beforeAll(async () => {
+    root = await mkdtemp(join(tmpdir(), 'astro-mermaid-'));
+    postPath = join(root, 'src/content/posts/asgi/index.md');
+    await mkdir(join(root, 'src/content/posts/asgi/diagrams'), { recursive: true });
+    await writeFile(join(root, 'src/content/posts/asgi/diagrams/flow.mmd'), 'graph LR\n    Client --> Server\n');
+  });
+
+  afterAll(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  it('should inline the file referenced by a fence src', async () => {
+    const { remark } = await setup();
+
+    const [html] = await runRemark(remark, parse('```mermaid src="./diagrams/flow.mmd" title=Flow\n```'));
+
+    expect(html).toContain('<pre class="mermaid" data-title="Flow">graph LR\n    Client --&gt; Server</pre>');
+  });
+
+  it('should inline the file referenced by a ::mermaid leaf directive', async () => {
+    const { remark } = await setup();
+    const tree = {
+      type: 'root',
+      children: [{
+        type: 'leafDirective',
+        name: 'mermaid',
+        attributes: { src: './diagrams/flow.mmd', source: '' },
+        children: []
+      }]
+    };
+
+    const [html] = await runRemark(remark, tree);
+
+    expect(html).toContain('<pre class="mermaid">graph LR\n    Client --&gt; Server</pre>');
+    expect(html).toContain('<details class="mermaid-source">');
+  });
+
+  it('should skip a ::mermaid leaf directive without src when no logger is passed', async () => {
+    const directive = { type: 'leafDirective', name: 'mermaid', attributes: { title: 'Flow' }, children: [] };
+    const tree = { type: 'root', children: [directive] };
+
+    const html = await runRemark([remarkMermaidPlugin, {}], tree);
+
+    expect(html).toEqual([]);
+    expect(tree.children[0]).toBe(directive);
+  });
+
+  it('should inline the file in the rehype plugin', async () => {
+    const { rehype } = await setup();
+    const tree = {
+      type: 'root',
+      children: [{
+        type: 'element',
+        tagName: 'pre',
+        properties: {},
+        children: [{
+          type: 'element',
+          tagName: 'code',
+          properties: { className: ['language-mermaid'], metastring: 'src=./diagrams/flow.mmd' },
+          children: []
+        }]
+      }]
+    };
+
+    await unified().use(rehype[0], rehype[1]).run(tree, { path: postPath });
+
+    expect(tree.children[0].children[0].children[0].value).toBe('graph LR\n    Client --&gt; Server');
+  });
+
+  it('should fail with the referencing file and line when the diagram is missing', async () => {
+    const { remark } = await setup();
+
+    await expect(runRemark(remark, parse('Intro\n\n```mermaid src=./diagrams/missing.mmd\n```')))
+      .rejects.toThrow(/Cannot read mermaid diagram "\.\/diagrams\/missing\.mmd" referenced at .*index\.md:3/);
+  });
+
+  it('should warn about inline content next to src', async () => {
+    const { remark, logger } = await setup();
+
+    const [html] = await runRemark(remark, parse('```mermaid src=./diagrams/flow.mmd\ngraph TD\n```'));
+
+    expect(html).toContain('Client --&gt; Server');
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Ignoring inline content'));
+  });
+
+  it('should only add the watcher plugin to the dev server', async () => {
+    const { vitePlugins, remark } = await setup('build');
+
+    expect(vitePlugins.map((plugin) => plugin.name)).not.toContain('astro-mermaid:diagram-files');
+    expect(remark[1].trackDiagramFile).toBeUndefined();
+  });
+
+  it('should invalidate referencing modules when a diagram changes in dev', async () => {
+    const { remark, vitePlugins } = await setup('dev');
+    const postModule = { file: postPath };
+    const server = {
+      watcher: { add: vi.fn() },
+      moduleGraph: {
+        getModulesByFile: vi.fn((file) => (file === postPath ? new Set([postModule]) : undefined)),
+        invalidateModule: vi.fn()
+      },
+      ws: { send: vi.fn() }
+    };
+    const plugin = vitePlugins.find((plugin) => plugin.name === 'astro-mermaid:diagram-files');
+    plugin.configureServer(server);
+
+    await runRemark(remark, parse('```mermaid src=./diagrams/flow.mmd\n```'));
+    const diagramPath = join(root, 'src/content/posts/asgi/diagrams/flow.mmd');
+    expect(server.watcher.add).toHaveBeenCalledWith(diagramPath);
+
+    expect(plugin.handleHotUpdate({ file: join(root, 'other.mmd'), server })).toBeUndefined();
+    expect(plugin.handleHotUpdate({ file: diagramPath, server })).toEqual([]);
+    expect(server.moduleGraph.invalidateModule).toHaveBeenCalledWith(postModule);
+    expect(server.ws.send).toHaveBeenCalledWith({ type: 'full-reload' });
+  });
+
+  it('should re-render content collection entries referencing a diagram in dev', async () => {
+    const { remark, vitePlugins } = await setup('dev');
+    const entryPath = join(root, 'src/content/posts/watched/index.md');
+    const diagramPath = join(root, 'src/content/posts/watched/diagrams/cycle.mmd');
+    await mkdir(join(root, 'src/content/posts/watched/diagrams'), { recursive: true });
+    await writeFile(entryPath, '```mermaid src=./diagrams/cycle.mmd\n```\n');
+    await writeFile(diagramPath, 'graph LR\n    Request --> Response\n');
+
+    // A dev server whose Markdown lives in a content collection, loaded by Astro's glob loader
+    const watcher = Object.assign(new EventEmitter(), { add: vi.fn() });
+    const server = {
+      watcher,
+      moduleGraph: { getModulesByFile: vi.fn(), invalidateModule: vi.fn() },
+      ws: { send: vi.fn() }
+    };
+    const plugin = vitePlugins.find((plugin) => plugin.name === 'astro-mermaid:diagram-files');
+    plugin.configureServer(server);
+
+    const entries = new Map();
+    const store = {
+      keys: () => entries.keys(),
+      get: (id) => entries.get(id),
+      set: (entry) => entries.set(entry.id, entry),
+      delete: (id) => entries.delete(id)
+    };
+    const render = async ({ body, filePath }) => {
+      const processor = unified().use(remarkParse).use(remark[0], remark[1]);
+      const tree = processor.parse(body);
+      await processor.run(tree, { path: filePath });
+      const html = [];
+      visit(tree, 'html', (node) => {
+        html.push(node.value);
+      });
+      return { html: html.join('') };
+    };
+    await glob({ pattern: 'watched/*.md', base: join(root, 'src/content/posts') }).load({
+      config: { root: pathToFileURL(`${root}/`), srcDir: pathToFileURL(`${root}/src/`), legacy: {} },
+      logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+      watcher,
+      parseData: async ({ data }) => data,
+      store,
+      generateDigest: (contents) => contents,
+      entryTypes: new Map([['.md', {
+        getEntryInfo: async ({ contents }) => ({ body: contents, data: {} }),
+        getRenderFunction: async () => render
+      }]])
+    });
+    expect(entries.get('watched').rendered.html).toContain('Request --&gt; Response');
+
+    await writeFile(diagramPath, 'graph LR\n    Request --> Cache\n');
+    expect(plugin.handleHotUpdate({ file: diagramPath, server })).toEqual([]);
+
+    await vi.waitFor(() => {
+      expect(entries.get('watched')?.rendered.html).toContain('Request --&gt; Cache');
+    });
+    expect(server.moduleGraph.invalidateModule).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,47 @@
+import { vi } from 'vitest';
+import { unified } from 'unified';
+import remarkParse from 'remark-parse';
+import { visit } from 'unist-util-visit';
+import astroMermaid from '../astro-mermaid-integration.js';
+
+// Run the integration's astro:config:setup hook the way Astro does and grab what it configured
+export async function setupIntegration(options = {}, command = 'dev', config = {}) {
+  const integration = astroMermaid(options);
+  const updateConfig = vi.fn();
+  const injectScript = vi.fn();
+  const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+  await integration.hooks['astro:config:setup']({
+    config: { markdown: {}, root: new URL('file:///test/'), ...config },
+    updateConfig,
+    addWatchFile: vi.fn(),
+    injectScript,
+    logger,
+    command
+  });
+
+  const { markdown, vite } = updateConfig.mock.calls[0][0];
+  return {
+    integration,
+    remark: markdown.remarkPlugins[0],
+    rehype: markdown.rehypePlugins[0],
+    vite,
+    vitePlugins: vite.plugins,
+    clientScript: injectScript.mock.calls[0][1],
+    injectScript,
+    logger
+  };
+}
+
+// Run a configured remark plugin over a Markdown file and collect the HTML it produced
+export async function runRemark([plugin, pluginOptions], markdown, path = '/posts/test.md') {
+  const processor = unified().use(remarkParse).use(plugin, pluginOptions);
+  const tree = processor.parse(markdown);
+  await processor.run(tree, { path });
+
+  const html = [];
+  visit(tree, 'html', (node) => {
+    html.push(node.value);
+  });
+  return html;
+}
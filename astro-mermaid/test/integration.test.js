@@ -100,7 +100,7 @@ describe('astroMermaid Integration', () => {
       });
 
       // Check that scripts were injected
-      expect(injectScriptMock).toHaveBeenCalledTimes(2); // One for JS, one for CSS
+      expect(injectScriptMock).toHaveBeenCalledTimes(2); // One for JS, one importing the CSS
 
       const jsCall = injectScriptMock.mock.calls[0];
       expect(jsCall[0]).toBe('page');
@@ -108,8 +108,8 @@ describe('astroMermaid Integration', () => {
       expect(jsCall[1]).toContain('mermaid.initialize');
 
       const cssCall = injectScriptMock.mock.calls[1];
-      expect(cssCall[0]).toBe('page');
-      expect(cssCall[1]).toContain('pre.mermaid');
+      expect(cssCall[0]).toBe('page-ssr');
+      expect(cssCall[1]).toMatch(/^import ".*\/astro-mermaid\/styles\.css";$/);
     });
   });
 
@@ -179,4 +179,64 @@ describe('astroMermaid Integration', () => {
       expect(clientScript).toContain('mermaid.render');
     });
   });
-});
\ No newline at end of file
+});
+describe('theme configuration', () => {
+  async function getClientScript(options) {
+    const integration = astroMermaid(options);
+    const injectScriptMock = vi.fn();
+
+    await integration.hooks['astro:config:setup']({
+      config: { markdown: {}, root: new URL('file:///test/') },
+      updateConfig: vi.fn(),
+      addWatchFile: vi.fn(),
+      injectScript: injectScriptMock,
+      logger: { info: vi.fn() },
+      command: 'build'
+    });
+
+    return injectScriptMock.mock.calls[0][1];
+  }
+
+  it('should merge the themeMap option over the built-in map', async () => {
+    const clientScript = await getClientScript({
+      themeMap: { 'tokyo-night': 'dark', 'dracula': 'forest' }
+    });
+
+    expect(clientScript).toContain('"tokyo-night":"dark"');
+    expect(clientScript).toContain('"dracula":"forest"');
+    expect(clientScript).toContain('"catppuccin-latte":"default"');
+    expect(clientScript).toContain('No themeMap entry for data-theme');
+  });
+
+  it('should leave theme variables disabled by default', async () => {
+    const clientScript = await getClientScript();
+
+    expect(clientScript).toContain('const themeVariablesConfig = null;');
+  });
+
+  it('should map theme variables to CSS custom properties', async () => {
+    const clientScript = await getClientScript({
+      autoThemeVariables: { lineColor: '--theme-separator' }
+    });
+
+    expect(clientScript).toContain('"primaryTextColor":"--theme-foreground"');
+    expect(clientScript).toContain('"lineColor":"--theme-separator"');
+    expect(clientScript).toContain("return 'base';");
+    expect(clientScript).toContain('getThemeVariables()');
+  });
+
+  it('should detect dark backgrounds for the base theme', async () => {
+    const clientScript = await getClientScript({ autoThemeVariables: true });
+
+    // Evaluate the helper exactly as the browser receives it
+    const start = clientScript.indexOf('function isDarkColor');
+    const end = clientScript.indexOf('\n// Read mermaid themeVariables');
+    const isDarkColor = new Function(`${clientScript.slice(start, end)}; return isDarkColor;`)();
+
+    expect(isDarkColor('#1e1e2e')).toBe(true);
+    expect(isDarkColor('#eff1f5')).toBe(false);
+    expect(isDarkColor('#fffF')).toBe(false);
+    expect(isDarkColor('#282a36ff')).toBe(true);
+    expect(isDarkColor('rgb(0, 0, 0)')).toBe(false);
+  });
+});
@@ -0,0 +1,138 @@
+// @vitest-environment happy-dom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { setupIntegration } from './helpers.js';
+
+// Minimal IntersectionObserver stand-in that lets tests scroll diagrams in and out of view
+class FakeIntersectionObserver {
+  static instances = [];
+
+  constructor(callback, options) {
+    this.callback = callback;
+    this.options = options;
+    this.targets = new Set();
+    FakeIntersectionObserver.instances.push(this);
+  }
+
+  observe(target) {
+    this.targets.add(target);
+  }
+
+  unobserve(target) {
+    this.targets.delete(target);
+  }
+
+  disconnect() {
+    this.targets.clear();
+  }
+
+  trigger(target, isIntersecting) {
+    if (this.targets.has(target)) {
+      this.callback([{ target, isIntersecting }]);
+    }
+  }
+}
+
+// Run the injected script against the current document with a mocked mermaid module
+async function runClientScript(options, mermaid) {
+  const { clientScript } = await setupIntegration(options);
+  const importMermaid = vi.fn(async () => ({ default: mermaid }));
+  new Function('importMermaid', clientScript.replace("import('mermaid')", 'importMermaid()'))(importMermaid);
+  return importMermaid;
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('lazy diagram rendering', () => {
+  let mermaid;
+
+  beforeEach(() => {
+    FakeIntersectionObserver.instances = [];
+    window.IntersectionObserver = FakeIntersectionObserver;
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    document.documentElement.setAttribute('data-theme', 'dark');
+    document.body.innerHTML = `
+      <pre class="mermaid" id="first">graph TD
+    A --> B</pre>
+      <pre class="mermaid" id="second">graph TD
+    C --> D</pre>`;
+    mermaid = {
+      initialize: vi.fn(),
+      render: vi.fn(async (id, definition) => ({ svg: `<svg id="${id}"></svg>` }))
+    };
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    delete window.IntersectionObserver;
+  });
+
+  it('should not load mermaid until a diagram is near the viewport', async () => {
+    const importMermaid = await runClientScript({}, mermaid);
+    await flush();
+
+    expect(importMermaid).not.toHaveBeenCalled();
+    const [observer] = FakeIntersectionObserver.instances;
+    expect(observer.options.rootMargin).toBe('200px 0px');
+    expect(observer.targets.size).toBe(2);
+  });
+
+  it('should render diagrams as they scroll into view', async () => {
+    await runClientScript({ rootMargin: '50% 0px' }, mermaid);
+    const [observer] = FakeIntersectionObserver.instances;
+    const first = document.getElementById('first');
+    const second = document.getElementById('second');
+
+    expect(observer.options.rootMargin).toBe('50% 0px');
+
+    observer.trigger(first, true);
+    await flush();
+
+    expect(mermaid.render).toHaveBeenCalledTimes(1);
+    expect(first.hasAttribute('data-processed')).toBe(true);
+    expect(second.hasAttribute('data-processed')).toBe(false);
+
+    observer.trigger(second, true);
+    await flush();
+
+    expect(mermaid.render).toHaveBeenCalledTimes(2);
+    expect(second.hasAttribute('data-processed')).toBe(true);
+  });
+
+  it('should re-render only visible diagrams on theme change', async () => {
+    await runClientScript({}, mermaid);
+    const [observer] = FakeIntersectionObserver.instances;
+    const first = document.getElementById('first');
+    const second = document.getElementById('second');
+
+    observer.trigger(first, true);
+    observer.trigger(second, true);
+    await flush();
+    observer.trigger(second, false);
+    mermaid.render.mockClear();
+
+    document.documentElement.setAttribute('data-theme', 'catppuccin-latte');
+    await flush();
+
+    expect(mermaid.render).toHaveBeenCalledTimes(1);
+    expect(first.hasAttribute('data-stale')).toBe(false);
+    expect(second.getAttribute('data-stale')).toBe('true');
+    // The stale diagram keeps its old SVG instead of falling back to the skeleton
+    expect(second.hasAttribute('data-processed')).toBe(true);
+    expect(mermaid.initialize).toHaveBeenLastCalledWith(expect.objectContaining({ theme: 'default' }));
+
+    observer.trigger(second, true);
+    await flush();
+
+    expect(mermaid.render).toHaveBeenCalledTimes(2);
+    expect(second.hasAttribute('data-stale')).toBe(false);
+  });
+
+  it('should render everything up front when lazy rendering is off', async () => {
+    const importMermaid = await runClientScript({ lazy: false }, mermaid);
+    await flush();
+
+    expect(FakeIntersectionObserver.instances).toHaveLength(0);
+    expect(importMermaid).toHaveBeenCalledOnce();
+    expect(mermaid.render).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,175 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { runRemark, setupIntegration } from './helpers.js';
+
+let root;
+
+// One `astro build`: transform the given Markdown files, write their pages, then finish the build
+async function build(files, options = {}, extraPages = []) {
+  const { integration, remark, logger } = await setupIntegration(options, 'build', {
+    root: pathToFileURL(`${root}/`),
+    cacheDir: pathToFileURL(`${root}/.cache/`)
+  });
+
+  await mkdir(join(root, 'dist'), { recursive: true });
+  const pages = [...extraPages];
+  for (const [name, { markdown, page, pages: filePages = [`${page}/`] }] of Object.entries(files)) {
+    const path = join(root, 'src/content/posts', name);
+    await writeFile(path, markdown);
+    const html = (await runRemark(remark, markdown, path)).join('');
+    for (const pathname of filePages) {
+      const file = pathname.endsWith('/') ? `${pathname}index.html` : `${pathname}.html`;
+      await mkdir(dirname(join(root, 'dist', file)), { recursive: true });
+      await writeFile(join(root, 'dist', file), `<html><body>${html}</body></html>`);
+      pages.push({ pathname });
+    }
+  }
+
+  await integration.hooks['astro:build:done']?.({ dir: pathToFileURL(`${root}/dist/`), pages, logger });
+  const manifestFile = typeof options.manifest === 'string' ? options.manifest : '.astro/mermaid-manifest.json';
+  return { logger, manifest: () => readFile(join(root, manifestFile), 'utf8').then(JSON.parse) };
+}
+
+const flowchart = 'Intro\n\n```mermaid\n---\ntitle: Flow\n---\ngraph TD\n    A --> B\n```\n';
+const sequence = '```mermaid\n%% Requests\nsequenceDiagram\n    A->>B: hi\n```\n\n```mermaid\ngitGraph\n    commit\n```\n';
+
+describe('build manifest', () => {
+  beforeEach(async () => {
+    root = await mkdtemp(join(tmpdir(), 'astro-mermaid-manifest-'));
+    await mkdir(join(root, 'src/content/posts'), { recursive: true });
+  });
+
+  afterEach(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  it('should list every diagram with its page, source, line, type and hash', async () => {
+    const { manifest, logger } = await build({
+      'flow.md': { markdown: flowchart, page: 'posts/flow' },
+      'sequence.md': { markdown: sequence, page: 'posts/sequence' }
+    });
+
+    const { diagrams, types } = await manifest();
+    expect(diagrams).toHaveLength(3);
+    expect(diagrams[0]).toEqual({
+      pages: ['/posts/flow/'],
+      sourceFile: 'src/content/posts/flow.md',
+      line: 3,
+      diagramFile: null,
+      engine: 'mermaid',
+      type: 'flowchart',
+      id: expect.stringMatching(/^mermaid-[0-9a-f]{8}$/),
+      hash: expect.stringMatching(/^[0-9a-f]{64}$/),
+      valid: null
+    });
+    expect(diagrams[0].id).toBe(`mermaid-${diagrams[0].hash.slice(0, 8)}`);
+    expect(diagrams.slice(1).map(({ type, line, pages }) => [type, line, pages])).toEqual([
+      ['sequence', 1, ['/posts/sequence/']],
+      ['gitGraph', 7, ['/posts/sequence/']]
+    ]);
+    expect(types).toEqual({ flowchart: 1, sequence: 1, gitGraph: 1 });
+    expect(logger.info).toHaveBeenCalledWith('Wrote .astro/mermaid-manifest.json with 3 diagrams');
+    await expect(readFile(join(root, 'dist/mermaid-manifest.json'))).rejects.toThrow(/ENOENT/);
+  });
+
+  it('should record whether each diagram validated', async () => {
+    const { manifest } = await build({
+      'broken.md': { markdown: '```mermaid\ngraph TD\n    A -->\n```\n\n```mermaid\ngraph TD\n    A --> B\n```\n', page: 'posts/broken' }
+    }, { validate: 'warn' });
+
+    expect((await manifest()).diagrams.map(({ valid }) => valid)).toEqual([false, true]);
+  });
+
+  it('should point external diagrams at their file', async () => {
+    await writeFile(join(root, 'src/content/posts/flow.mmd'), 'flowchart LR\n    A --> B\n');
+
+    const { manifest } = await build({
+      'external.md': { markdown: '```mermaid src=./flow.mmd\n```\n', page: 'posts/external' }
+    });
+
+    expect((await manifest()).diagrams[0]).toMatchObject({
+      sourceFile: 'src/content/posts/external.md',
+      diagramFile: 'src/content/posts/flow.mmd',
+      type: 'flowchart',
+      pages: ['/posts/external/']
+    });
+  });
+
+  it('should keep files the content layer did not transform again and drop deleted ones', async () => {
+    await build({
+      'flow.md': { markdown: flowchart, page: 'posts/flow' },
+      'sequence.md': { markdown: sequence, page: 'posts/sequence' }
+    });
+
+    // Only the changed file goes through the plugins, the other page comes from the content cache
+    await rm(join(root, 'src/content/posts/sequence.md'));
+    const { manifest } = await build({
+      'flow.md': { markdown: flowchart.replace('A --> B', 'A --> C'), page: 'posts/flow' }
+    });
+
+    const { diagrams } = await manifest();
+    expect(diagrams.map(({ sourceFile }) => sourceFile)).toEqual(['src/content/posts/flow.md']);
+    expect(diagrams[0].pages).toEqual(['/posts/flow/']);
+
+    await build({ 'other.md': { markdown: 'No diagrams', page: 'posts/other' } });
+    expect((await manifest()).diagrams.map(({ sourceFile }) => sourceFile)).toEqual(['src/content/posts/flow.md']);
+  });
+
+  it('should warn about built figures no transform recorded', async () => {
+    await mkdir(join(root, 'dist/posts/cached'), { recursive: true });
+    await writeFile(join(root, 'dist/posts/cached/index.html'), '<figure class="mermaid-figure" id="mermaid-0badcafe"></figure>');
+
+    const { logger } = await build({ 'flow.md': { markdown: flowchart, page: 'posts/flow' } }, {}, [{ pathname: 'posts/cached/' }]);
+
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/missing 1 diagram .*\(mermaid-0badcafe\), run `astro build --force`/));
+  });
+
+  it('should list a diagram shared by several files under each file\'s own pages', async () => {
+    const { manifest } = await build({
+      'a.md': { markdown: flowchart, page: 'posts/a' },
+      'b.md': { markdown: flowchart, page: 'posts/b' }
+    });
+
+    const { diagrams } = await manifest();
+    expect(diagrams.map(({ sourceFile, pages }) => [sourceFile, pages])).toEqual([
+      ['src/content/posts/a.md', ['/posts/a/']],
+      ['src/content/posts/b.md', ['/posts/b/']]
+    ]);
+    expect(diagrams[0].id).toBe(diagrams[1].id);
+  });
+
+  it('should take page paths from the built routes and ignore endpoints', async () => {
+    const { manifest } = await build({
+      'flow.md': { markdown: flowchart, pages: ['posts/flow', 'tags/flow/'] }
+    }, {}, [{ pathname: 'rss.xml' }]);
+
+    expect((await manifest()).diagrams[0].pages).toEqual(['/posts/flow', '/tags/flow/']);
+  });
+
+  it('should find figures whatever the order of their attributes', async () => {
+    const { manifest } = await build({ 'flow.md': { markdown: flowchart, page: 'posts/flow' } });
+    const html = await readFile(join(root, 'dist/posts/flow/index.html'), 'utf8');
+    const reordered = html.replace(/<figure class="mermaid-figure" id="([^"]+)" data-source="([^"]+)"/, '<figure data-source=\'$2\' id=$1 class="wide mermaid-figure"');
+    expect(reordered).not.toBe(html);
+    await writeFile(join(root, 'dist/posts/flow/index.html'), reordered);
+
+    await build({}, {}, [{ pathname: 'posts/flow/' }]);
+    expect((await manifest()).diagrams[0].pages).toEqual(['/posts/flow/']);
+  });
+
+  it('should write the manifest to a configured path', async () => {
+    const { manifest, logger } = await build({ 'flow.md': { markdown: flowchart, page: 'posts/flow' } }, { manifest: 'reports/diagrams.json' });
+
+    expect((await manifest()).diagrams).toHaveLength(1);
+    expect(logger.info).toHaveBeenCalledWith('Wrote reports/diagrams.json with 1 diagram');
+  });
+
+  it('should not write a manifest when disabled', async () => {
+    const { manifest } = await build({ 'flow.md': { markdown: flowchart, page: 'posts/flow' } }, { manifest: false });
+
+    await expect(manifest()).rejects.toThrow(/ENOENT/);
+  });
+});
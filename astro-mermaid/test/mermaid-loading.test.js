@@ -0,0 +1,124 @@
+// @vitest-environment happy-dom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import astroMermaid from '../astro-mermaid-integration.js';
+import { setupIntegration } from './helpers.js';
+
+const setup = (options = {}, command) => setupIntegration({ lazy: false, ...options }, command);
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 10));
+
+describe('mermaid loading', () => {
+  let mermaid;
+
+  beforeEach(() => {
+    // Start from a fresh document so theme observers from earlier tests stay detached
+    const html = document.createElement('html');
+    html.append(document.createElement('head'), document.createElement('body'));
+    document.documentElement.remove();
+    document.appendChild(html);
+
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    document.documentElement.setAttribute('data-theme', 'light');
+    document.body.innerHTML = '<pre class="mermaid">gitGraph\n    commit</pre>';
+    mermaid = {
+      initialize: vi.fn(),
+      registerLayoutLoaders: vi.fn(),
+      render: vi.fn(async (id) => ({ svg: `<svg id="${id}"></svg>` }))
+    };
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  async function start(options) {
+    const { clientScript } = await setup(options);
+    new Function('importMermaid', clientScript.replace("import('mermaid')", 'importMermaid()'))(
+      async () => ({ default: mermaid })
+    );
+    await flush();
+  }
+
+  it('should merge per-diagram-type defaults under mermaidConfig', async () => {
+    await start({
+      mermaidConfig: { gitGraph: { showBranches: false }, flowchart: { curve: 'basis' } },
+      diagramDefaults: { flowchart: { curve: 'linear', htmlLabels: false } }
+    });
+
+    const config = mermaid.initialize.mock.calls[0][0];
+    expect(config.gitGraph).toEqual({
+      mainBranchName: 'main',
+      showCommitLabel: true,
+      showBranches: false,
+      rotateCommitLabel: true
+    });
+    expect(config.flowchart).toEqual({ curve: 'basis', htmlLabels: false });
+  });
+
+  it('should drop built-in defaults set to false and reject other values', async () => {
+    await start({ diagramDefaults: { gitGraph: false } });
+
+    expect(mermaid.initialize.mock.calls[0][0]).not.toHaveProperty('gitGraph');
+    expect(() => astroMermaid({ diagramDefaults: { flowchart: 'linear' } }))
+      .toThrow(/Invalid diagramDefaults for "flowchart", expected an object or false/);
+  });
+
+  it('should pre-render with the same per-diagram-type config', async () => {
+    const { vite } = await setup({ renderMode: 'build', mermaidConfig: { gitGraph: { mainBranchName: 'trunk' } } }, 'build');
+
+    const plugin = vite.plugins.find((p) => p.name === 'astro-mermaid:config');
+    const source = plugin.load(plugin.resolveId('virtual:astro-mermaid/config'));
+    const { default: { prerender } } = await import(`data:text/javascript,${encodeURIComponent(source)}`);
+    expect(prerender.mermaidConfig.gitGraph).toMatchObject({ mainBranchName: 'trunk', rotateCommitLabel: true });
+  });
+
+  it('should register layout loaders before the first render', async () => {
+    const elkLayouts = [{ name: 'elk', loader: vi.fn() }];
+    mermaid.render.mockImplementation(async (id) => {
+      expect(mermaid.registerLayoutLoaders).toHaveBeenCalledWith(elkLayouts);
+      return { svg: `<svg id="${id}"></svg>` };
+    });
+
+    const { clientScript } = await setup({ layoutLoaders: ['@mermaid-js/layout-elk'] });
+
+    new Function('importMermaid', 'importElk', clientScript
+      .replace("import('mermaid')", 'importMermaid()')
+      .replace("import('@mermaid-js/layout-elk')", 'importElk()'))(
+      async () => ({ default: mermaid }),
+      async () => ({ default: elkLayouts })
+    );
+    await flush();
+
+    expect(mermaid.render).toHaveBeenCalledOnce();
+  });
+
+  it('should load mermaid from an alternative entry point', async () => {
+    const { vite, clientScript } = await setup({ mermaidSource: 'mermaid/dist/mermaid.tiny.mjs', layoutLoaders: ['@mermaid-js/layout-elk'] });
+
+    expect(clientScript).toContain("import('mermaid/dist/mermaid.tiny.mjs').then(");
+    expect(clientScript).not.toContain("import('mermaid')");
+    expect(vite.optimizeDeps.include).toEqual(['mermaid/dist/mermaid.tiny.mjs', '@mermaid-js/layout-elk']);
+  });
+
+  it('should load mermaid from a URL without bundling it', async () => {
+    const { vite, clientScript } = await setup({ mermaidSource: '/vendor/mermaid.esm.min.mjs' });
+    const importUrl = vi.fn(async () => ({ default: mermaid }));
+
+    new Function('importUrlMock', clientScript.replace('import(/* @vite-ignore */ url)', 'importUrlMock(url)'))(importUrl);
+    await flush();
+
+    expect(importUrl).toHaveBeenCalledWith('/vendor/mermaid.esm.min.mjs');
+    expect(mermaid.render).toHaveBeenCalledOnce();
+    expect(vite.optimizeDeps.include).toEqual([]);
+  });
+
+  it('should reject sources that cannot be imported and warn about build-time layouts', async () => {
+    expect(() => astroMermaid({ mermaidSource: "mermaid'); alert(1" }))
+      .toThrow(/Invalid mermaidSource/);
+    expect(() => astroMermaid({ layoutLoaders: [42] }))
+      .toThrow(/Invalid layout loader "42"/);
+
+    const { logger } = await setup({ renderMode: 'hybrid', layoutLoaders: ['@mermaid-js/layout-elk'] }, 'build');
+    expect(logger.warn).toHaveBeenCalledWith('Build-time rendering ignores layoutLoaders, diagrams using those layouts are pre-rendered with dagre');
+  });
+});
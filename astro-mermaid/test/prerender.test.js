@@ -0,0 +1,141 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { unified } from 'unified';
+import rehypeParse from 'rehype-parse';
+import rehypeStringify from 'rehype-stringify';
+import astroMermaid from '../astro-mermaid-integration.js';
+import { runRemark, setupIntegration } from './helpers.js';
+
+const renderMock = vi.fn();
+
+vi.mock('mermaid-isomorphic', () => ({
+  createMermaidRenderer: () => renderMock
+}));
+
+const markdown = `
+\`\`\`mermaid
+graph TD
+    A --> B
+\`\`\`
+`;
+
+describe('build-time rendering', () => {
+  beforeEach(() => {
+    renderMock.mockReset();
+    renderMock.mockImplementation(async (diagrams, { prefix }) =>
+      diagrams.map((diagram, index) => ({
+        status: 'fulfilled',
+        value: { id: `${prefix}-${index}`, svg: `<svg id="${prefix}-${index}"></svg>` }
+      }))
+    );
+  });
+
+  it('should reject unknown render modes', () => {
+    expect(() => astroMermaid({ renderMode: 'server' })).toThrow(/Invalid renderMode/);
+  });
+
+  it('should not pre-render in client mode', async () => {
+    const { remark } = await setupIntegration({ renderMode: 'client' }, 'build');
+
+    expect(remark[1].prerender).toBeNull();
+    const [html] = await runRemark(remark, markdown);
+    expect(html).toContain('<pre class="mermaid">graph TD\n    A --&gt; B</pre>');
+    expect(renderMock).not.toHaveBeenCalled();
+  });
+
+  it('should not pre-render during astro dev', async () => {
+    const { remark } = await setupIntegration({ renderMode: 'build' });
+
+    expect(remark[1].prerender).toBeNull();
+  });
+
+  it('should inline the SVG in build mode', async () => {
+    const { remark } = await setupIntegration({ renderMode: 'build', theme: 'forest' }, 'build');
+
+    const [html] = await runRemark(remark, markdown);
+
+    expect(renderMock).toHaveBeenCalledOnce();
+    expect(renderMock.mock.calls[0][0]).toEqual(['graph TD\n    A --> B']);
+    expect(renderMock.mock.calls[0][1].mermaidConfig.theme).toBe('forest');
+    expect(html).toMatch(/<pre class="mermaid" data-processed="true" data-prerendered="forest"><svg id="mermaid-[0-9a-f]{8}-0"><\/svg><\/pre>/);
+  });
+
+  it('should keep the escaped source in hybrid mode', async () => {
+    const { remark } = await setupIntegration({ renderMode: 'hybrid', theme: 'dark' }, 'build');
+
+    const [html] = await runRemark(remark, markdown);
+
+    expect(html).toContain('data-prerendered="dark"');
+    expect(html).toContain('data-diagram="graph TD\n    A --&gt; B"');
+    expect(html).toContain('<svg');
+  });
+
+  it('should keep the source in build mode when the toolbar copies it', async () => {
+    const { remark } = await setupIntegration({ renderMode: 'build', toolbar: { items: ['copy'] } }, 'build');
+    const { remark: svgOnly } = await setupIntegration({ renderMode: 'build', toolbar: { items: ['svg'] } }, 'build');
+
+    const [html, optedOut] = await runRemark(remark, `${markdown}\n${markdown.replace('```mermaid', '```mermaid toolbar=false')}`);
+    const [withoutCopy] = await runRemark(svgOnly, markdown);
+
+    expect(html).toContain('data-diagram="graph TD\n    A --&gt; B"');
+    expect(optedOut).not.toContain('data-diagram');
+    expect(withoutCopy).not.toContain('data-diagram');
+  });
+
+  it('should pre-render with the per-diagram theme from the fence meta', async () => {
+    const { remark } = await setupIntegration({ renderMode: 'hybrid', theme: 'dark' }, 'build');
+
+    const [html] = await runRemark(remark, markdown.replace('```mermaid', '```mermaid theme=forest title="Flow"'));
+
+    expect(renderMock.mock.calls[0][0]).toEqual(['%%{init: {"theme":"forest"}}%%\ngraph TD\n    A --> B']);
+    expect(html).toContain('data-mermaid-theme="forest"');
+    expect(html).toContain('data-prerendered="forest"');
+    expect(html).toMatch(/<\/svg><\/pre><figcaption id="mermaid-[0-9a-f]{8}-caption">Flow<\/figcaption>/);
+  });
+
+  it('should fall back to client rendering for diagrams that fail', async () => {
+    renderMock.mockResolvedValue([
+      { status: 'rejected', reason: new Error('Parse error on line 2') }
+    ]);
+    const { remark, logger } = await setupIntegration({ renderMode: 'build' }, 'build');
+
+    const [html] = await runRemark(remark, markdown);
+
+    expect(html).toContain('<pre class="mermaid">graph TD\n    A --&gt; B</pre>');
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Parse error on line 2'));
+  });
+
+  it('should fall back to client rendering when the renderer is unavailable', async () => {
+    renderMock.mockRejectedValue(new Error('Executable doesn\'t exist'));
+    const { remark, logger } = await setupIntegration({ renderMode: 'build' }, 'build');
+
+    const [html] = await runRemark(remark, markdown);
+
+    expect(html).toContain('<pre class="mermaid">graph TD\n    A --&gt; B</pre>');
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Build-time rendering unavailable'));
+  });
+
+  it('should inline the SVG from the rehype plugin', async () => {
+    const { rehype } = await setupIntegration({ renderMode: 'hybrid', theme: 'dark' }, 'build');
+
+    const processor = unified()
+      .use(rehypeParse, { fragment: true })
+      .use(rehype[0], rehype[1])
+      .use(rehypeStringify, { allowDangerousHtml: true });
+
+    const output = String(await processor.process({
+      path: '/posts/test.mdx',
+      value: '<pre><code class="language-mermaid">graph TD\n    A --> B</code></pre>'
+    }));
+
+    expect(output).toMatch(/^<figure class="mermaid-figure" id="mermaid-[0-9a-f]{8}" data-source="[0-9a-f]{8}"><pre class="mermaid" data-processed="true" data-prerendered="dark" data-diagram="graph TD\n    A --> B"><svg id="mermaid-[0-9a-f]{8}-0"><\/svg><\/pre><\/figure>$/);
+  });
+});
+
+describe('client script render modes', () => {
+  it('should only load mermaid for diagrams that still need rendering', async () => {
+    const { clientScript } = await setupIntegration({ renderMode: 'build' }, 'build');
+    expect(clientScript).toContain('const renderMode = "build"');
+    expect(clientScript).toContain("!diagram.hasAttribute('data-processed')");
+    expect(clientScript).toContain("if (renderMode !== 'hybrid')");
+  });
+});
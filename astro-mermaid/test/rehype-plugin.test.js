@@ -2,57 +2,17 @@ import { describe, it, expect } from 'vitest';
 import { unified } from 'unified';
 import rehypeParse from 'rehype-parse';
 import rehypeStringify from 'rehype-stringify';
-import { fromHtml } from 'hast-util-from-html';
-import { visit } from 'unist-util-visit';
-import { toString } from 'mdast-util-to-string';
+import { rehypeMermaidPlugin } from '../astro-mermaid-integration.js';
 
-// Helper functions from the main implementation
-function escapeHtml(text) {
-  const htmlEntities = {
-    '&': '&amp;',
-    '<': '&lt;',
-    '>': '&gt;',
-    '"': '&quot;',
-    "'": '&#39;'
-  };
-  return text.replace(/[&<>"']/g, char => htmlEntities[char]);
-}
-
-function serializeHastChildren(children) {
-  let result = '';
-
-  for (const child of children) {
-    if (child.type === 'text') {
-      result += child.value;
-    } else if (child.type === 'element') {
-      const tagName = child.tagName;
-      const selfClosing = ['br', 'hr', 'img', 'input', 'meta', 'link'].includes(tagName);
-
-      result += `<${tagName}`;
+// Run the plugin over an HTML document and serialize the result
+async function transform(html, { fragment = true, ...options } = {}) {
+  const processor = unified()
+    .use(rehypeParse, { fragment })
+    .use(rehypeMermaidPlugin, options)
+    .use(rehypeStringify);
 
-      if (child.properties) {
-        for (const [key, value] of Object.entries(child.properties)) {
-          if (key !== 'className') {
-            result += ` ${key}="${value}"`;
-          } else if (Array.isArray(value)) {
-            result += ` class="${value.join(' ')}"`;
-          }
-        }
-      }
-
-      if (selfClosing) {
-        result += '/>';
-      } else {
-        result += '>';
-        if (child.children && child.children.length > 0) {
-          result += serializeHastChildren(child.children);
-        }
-        result += `</${tagName}>`;
-      }
-    }
-  }
-
-  return result;
+  const result = await processor.process({ path: '/posts/test.mdx', value: html });
+  return String(result);
 }
 
 describe('rehypeMermaidPlugin', () => {
@@ -68,45 +28,9 @@ describe('rehypeMermaidPlugin', () => {
   </body>
 </html>`;
 
-      const processor = unified()
-        .use(rehypeParse, { fragment: false })
-        .use(function() {
-          return async function transformer(tree, file) {
-            const { visit } = await import('unist-util-visit');
-            const { toString } = await import('mdast-util-to-string');
-
-            visit(tree, 'element', (node, index, parent) => {
-              if (
-                node.tagName === 'pre' &&
-                node.children?.length === 1 &&
-                node.children[0].tagName === 'code'
-              ) {
-                const codeNode = node.children[0];
-                const className = codeNode.properties?.className;
-
-                if (Array.isArray(className) && className.includes('language-mermaid')) {
-                  const diagramContent = toString(codeNode);
+      const output = await transform(html, { fragment: false });
 
-                  node.properties = {
-                    ...node.properties,
-                    className: ['mermaid']
-                  };
-
-                  node.children = [{
-                    type: 'text',
-                    value: diagramContent
-                  }];
-                }
-              }
-            });
-          };
-        })
-        .use(rehypeStringify);
-
-      const result = await processor.process(html);
-      const output = String(result);
-
-      expect(output).toContain('<pre class="mermaid">');
+      expect(output).toMatch(/<figure class="mermaid-figure" id="mermaid-[0-9a-f]{8}"><pre class="mermaid">/);
       expect(output).toContain('graph TD');
       expect(output).not.toContain('language-mermaid');
     });
@@ -120,47 +44,7 @@ describe('rehypeMermaidPlugin', () => {
     Alice->>Bob: Hello</code></pre>
 </div>`;
 
-      const processor = unified()
-        .use(rehypeParse, { fragment: true })
-        .use(function() {
-          return async function transformer(tree, file) {
-            const { visit } = await import('unist-util-visit');
-            const { toString } = await import('mdast-util-to-string');
-            let mermaidCount = 0;
-
-            visit(tree, 'element', (node, index, parent) => {
-              if (
-                node.tagName === 'pre' &&
-                node.children?.length === 1 &&
-                node.children[0].tagName === 'code'
-              ) {
-                const codeNode = node.children[0];
-                const className = codeNode.properties?.className;
-
-                if (Array.isArray(className) && className.includes('language-mermaid')) {
-                  mermaidCount++;
-                  const diagramContent = toString(codeNode);
-
-                  node.properties = {
-                    ...node.properties,
-                    className: ['mermaid']
-                  };
-
-                  node.children = [{
-                    type: 'text',
-                    value: diagramContent
-                  }];
-                }
-              }
-            });
-
-            expect(mermaidCount).toBe(2);
-          };
-        })
-        .use(rehypeStringify);
-
-      const result = await processor.process(html);
-      const output = String(result);
+      const output = await transform(html);
 
       expect(output).toContain('graph TD');
       expect(output).toContain('sequenceDiagram');
@@ -174,43 +58,7 @@ describe('rehypeMermaidPlugin', () => {
   <pre><code class="language-python">print("hello")</code></pre>
 </div>`;
 
-      const processor = unified()
-        .use(rehypeParse, { fragment: true })
-        .use(function() {
-          return async function transformer(tree, file) {
-            const { visit } = await import('unist-util-visit');
-            const { toString } = await import('mdast-util-to-string');
-
-            visit(tree, 'element', (node, index, parent) => {
-              if (
-                node.tagName === 'pre' &&
-                node.children?.length === 1 &&
-                node.children[0].tagName === 'code'
-              ) {
-                const codeNode = node.children[0];
-                const className = codeNode.properties?.className;
-
-                if (Array.isArray(className) && className.includes('language-mermaid')) {
-                  const diagramContent = toString(codeNode);
-
-                  node.properties = {
-                    ...node.properties,
-                    className: ['mermaid']
-                  };
-
-                  node.children = [{
-                    type: 'text',
-                    value: diagramContent
-                  }];
-                }
-              }
-            });
-          };
-        })
-        .use(rehypeStringify);
-
-      const result = await processor.process(html);
-      const output = String(result);
+      const output = await transform(html);
 
       expect(output).toContain('language-javascript');
       expect(output).toContain('language-python');
@@ -219,54 +67,15 @@ describe('rehypeMermaidPlugin', () => {
   });
 
   describe('HTML content handling', () => {
-    it('should preserve HTML tags in mermaid content (currently failing)', async () => {
+    it('should preserve HTML tags in mermaid content', async () => {
       const html = `
 <pre><code class="language-mermaid">graph TD
     A[Application Code] --> B[<u>Language Binding</u> <br/>Java, Node.js, Python]
     C[<b>Bold Text</b>] --> D[<i>Italic Text</i>]</code></pre>`;
 
-      const processor = unified()
-        .use(rehypeParse, { fragment: true })
-        .use(function() {
-          return async function transformer(tree, file) {
-            const { visit } = await import('unist-util-visit');
-            const { toString } = await import('mdast-util-to-string');
-
-            visit(tree, 'element', (node, index, parent) => {
-              if (
-                node.tagName === 'pre' &&
-                node.children?.length === 1 &&
-                node.children[0].tagName === 'code'
-              ) {
-                const codeNode = node.children[0];
-                const className = codeNode.properties?.className;
-
-                if (Array.isArray(className) && className.includes('language-mermaid')) {
-                  // Use our fixed implementation with serializeHastChildren
-                  const diagramContent = serializeHastChildren(codeNode.children || []);
+      const output = await transform(html);
 
-                  node.properties = {
-                    ...node.properties,
-                    className: ['mermaid']
-                  };
-
-                  // Escape HTML to preserve it as text content
-                  node.children = [{
-                    type: 'text',
-                    value: escapeHtml(diagramContent)
-                  }];
-                }
-              }
-            });
-          };
-        })
-        .use(rehypeStringify);
-
-      const result = await processor.process(html);
-      const output = String(result);
-
-      // After fix, these should be escaped
-      // Note: The rehypeStringify double-escapes our content
+      // The plugin escapes the serialized tags and rehype-stringify escapes them once more
       expect(output).toContain('&#x26;lt;u&#x26;gt;');
       expect(output).toContain('&#x26;lt;br/&#x26;gt;');
       expect(output).toContain('&#x26;lt;b&#x26;gt;');
@@ -279,48 +88,12 @@ describe('rehypeMermaidPlugin', () => {
     A["Quote & Ampersand"] --> B['Single quotes']
     C[<Special>] --> D[More & "quotes"]</code></pre>`;
 
-      const processor = unified()
-        .use(rehypeParse, { fragment: true })
-        .use(function() {
-          return async function transformer(tree, file) {
-            const { visit } = await import('unist-util-visit');
-            const { toString } = await import('mdast-util-to-string');
-
-            visit(tree, 'element', (node, index, parent) => {
-              if (
-                node.tagName === 'pre' &&
-                node.children?.length === 1 &&
-                node.children[0].tagName === 'code'
-              ) {
-                const codeNode = node.children[0];
-                const className = codeNode.properties?.className;
-
-                if (Array.isArray(className) && className.includes('language-mermaid')) {
-                  const diagramContent = toString(codeNode);
-
-                  node.properties = {
-                    ...node.properties,
-                    className: ['mermaid']
-                  };
-
-                  node.children = [{
-                    type: 'text',
-                    value: diagramContent
-                  }];
-                }
-              }
-            });
-          };
-        })
-        .use(rehypeStringify);
-
-      const result = await processor.process(html);
-      const output = String(result);
+      const output = await transform(html);
 
-      // Check that special characters are preserved
-      expect(output).toContain('&');
-      expect(output).toContain('"');
-      expect(output).toContain("'");
+      // Check that special characters survive both escaping passes
+      expect(output).toContain('&#x26;amp;');
+      expect(output).toContain('&#x26;quot;');
+      expect(output).toContain('&#x26;#39;');
     });
   });
-});
\ No newline at end of file
+});
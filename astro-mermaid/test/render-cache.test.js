@@ -0,0 +1,152 @@
+// @vitest-environment happy-dom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { runRemark, setupIntegration } from './helpers.js';
+
+// Just enough of IndexedDB for the render cache, backed by a Map that outlives page loads
+class FakeIndexedDB {
+  constructor() {
+    this.records = new Map();
+  }
+
+  request(getResult) {
+    const request = {};
+    setTimeout(() => {
+      request.result = getResult();
+      request.onsuccess?.({ target: request });
+    }, 0);
+    return request;
+  }
+
+  open() {
+    const request = {};
+    setTimeout(() => {
+      request.result = this;
+      request.onupgradeneeded?.();
+      request.onsuccess?.();
+    }, 0);
+    return request;
+  }
+
+  createObjectStore() {
+    return { createIndex: () => {} };
+  }
+
+  transaction() {
+    const records = this.records;
+    return {
+      objectStore: () => ({
+        get: (key) => this.request(() => records.get(key)),
+        put: (value, key) => records.set(key, value),
+        count: () => this.request(() => records.size)
+      })
+    };
+  }
+}
+
+const setup = (options = {}) => setupIntegration({ lazy: false, ...options });
+
+// Render Markdown with the remark plugin and run the client script over it, like a page load
+async function loadPage(markdown, mermaid, options) {
+  const { remark, clientScript } = await setup(options);
+  const html = await runRemark(remark, markdown);
+  document.body.innerHTML = html.join('');
+
+  const importMermaid = vi.fn(async () => ({ default: mermaid }));
+  new Function('importMermaid', clientScript.replace("import('mermaid')", 'importMermaid()'))(importMermaid);
+  await settle();
+  return importMermaid;
+}
+
+// The fake IndexedDB answers on timers, give its request chains time to finish
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+const markdown = '```mermaid title=Flow\ngraph TD\n    A --> B\n```\n\n```mermaid\ngraph TD\n    A --> B\n```';
+
+describe('stable diagram ids and render cache', () => {
+  let mermaid;
+
+  beforeEach(() => {
+    // Start from a fresh document so theme observers from earlier tests stay detached
+    const html = document.createElement('html');
+    html.append(document.createElement('head'), document.createElement('body'));
+    document.documentElement.remove();
+    document.appendChild(html);
+
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    document.documentElement.setAttribute('data-theme', 'light');
+    mermaid = {
+      initialize: vi.fn(),
+      render: vi.fn(async (id, definition) => ({ svg: `<svg id="${id}" data-theme="${mermaid.initialize.mock.lastCall[0].theme}"></svg>` }))
+    };
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    delete window.indexedDB;
+  });
+
+  it('should give repeated diagrams distinct ids derived from their source', async () => {
+    await loadPage(markdown, mermaid);
+
+    const [first, second] = document.querySelectorAll('figure.mermaid-figure');
+    expect(first.id).toMatch(/^mermaid-[0-9a-f]{8}$/);
+    expect(second.id).toBe(`${first.id}-2`);
+    expect(mermaid.render.mock.calls.map(([id]) => id)).toEqual([`${first.id}-svg`, `${second.id}-svg`]);
+    expect(first.querySelector('svg').id).toBe(`${first.id}-svg`);
+  });
+
+  it('should derive ids for diagrams outside a figure', async () => {
+    const { clientScript } = await setup();
+    document.body.innerHTML = '<pre class="mermaid">graph TD\n    A --> B</pre><pre class="mermaid">graph TD\n    A --> B</pre>';
+
+    new Function('importMermaid', clientScript.replace("import('mermaid')", 'importMermaid()'))(
+      async () => ({ default: mermaid })
+    );
+    await settle();
+
+    const [first, second] = document.querySelectorAll('pre.mermaid');
+    expect(first.id).toMatch(/^mermaid-[0-9a-f]{8}$/);
+    expect(second.id).toBe(`${first.id}-2`);
+  });
+
+  it('should reuse cached SVGs when switching back to a theme', async () => {
+    await loadPage(markdown, mermaid);
+    expect(mermaid.render).toHaveBeenCalledTimes(2);
+
+    document.documentElement.setAttribute('data-theme', 'dark');
+    await settle();
+    expect(mermaid.render).toHaveBeenCalledTimes(4);
+    expect(document.querySelector('svg').getAttribute('data-theme')).toBe('dark');
+
+    document.documentElement.setAttribute('data-theme', 'light');
+    await settle();
+    expect(mermaid.render).toHaveBeenCalledTimes(4);
+    expect(document.querySelector('svg').getAttribute('data-theme')).toBe('default');
+    expect(document.querySelector('pre.mermaid').hasAttribute('data-stale')).toBe(false);
+  });
+
+  it('should reuse SVGs stored in IndexedDB by an earlier visit without loading mermaid', async () => {
+    window.indexedDB = new FakeIndexedDB();
+
+    await loadPage(markdown, mermaid);
+    expect(window.indexedDB.records.size).toBe(2);
+
+    document.body.innerHTML = '';
+    mermaid.render.mockClear();
+    const importMermaid = await loadPage(markdown, mermaid);
+
+    expect(importMermaid).not.toHaveBeenCalled();
+    expect(mermaid.render).not.toHaveBeenCalled();
+    expect(document.querySelectorAll('pre.mermaid[data-processed] svg')).toHaveLength(2);
+  });
+
+  it('should miss the cache when the mermaid config changes', async () => {
+    window.indexedDB = new FakeIndexedDB();
+
+    await loadPage(markdown, mermaid);
+    mermaid.render.mockClear();
+    await loadPage(markdown, mermaid, { mermaidConfig: { flowchart: { curve: 'linear' } } });
+
+    expect(mermaid.render).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,131 @@
+// @vitest-environment happy-dom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import astroMermaid from '../astro-mermaid-integration.js';
+import { runRemark, setupIntegration } from './helpers.js';
+
+async function renderPage(options, markdown) {
+  const { remark, clientScript } = await setupIntegration({ lazy: false, ...options });
+  document.body.innerHTML = (await runRemark(remark, markdown)).join('');
+
+  const mermaid = {
+    initialize: vi.fn(),
+    render: vi.fn(async (id) => ({
+      svg: `<svg id="${id}" viewBox="0 0 120 80" style="max-width: 120px;"><g></g></svg>`
+    }))
+  };
+  new Function('importMermaid', clientScript.replace("import('mermaid')", 'importMermaid()'))(
+    async () => ({ default: mermaid })
+  );
+  await flush();
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const button = (label) => document.querySelector(`.mermaid-toolbar button[aria-label="${label}"]`);
+
+const source = 'graph LR\n    A --- B';
+const fence = (meta = '') => `\`\`\`mermaid ${meta}\n${source}\n\`\`\``;
+
+// Capture what the toolbar hands to the browser's download machinery
+function captureDownloads() {
+  const downloads = [];
+  vi.spyOn(URL, 'createObjectURL').mockImplementation((blob) => {
+    downloads.push({ blob });
+    return 'blob:diagram';
+  });
+  vi.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+  vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+    downloads[downloads.length - 1].fileName = this.download;
+  });
+  return downloads;
+}
+
+describe('diagram toolbar', () => {
+  beforeEach(() => {
+    // Start from a fresh document so theme observers from earlier tests stay detached
+    const html = document.createElement('html');
+    html.append(document.createElement('head'), document.createElement('body'));
+    document.documentElement.remove();
+    document.appendChild(html);
+
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should reject unknown toolbar items and scales', () => {
+    expect(() => astroMermaid({ toolbar: { items: ['copy', 'pdf'] } })).toThrow(/Invalid toolbar item "pdf"/);
+    expect(() => astroMermaid({ toolbar: { pngScale: 0 } })).toThrow(/Invalid toolbar pngScale/);
+  });
+
+  it('should not add a toolbar unless enabled', async () => {
+    await renderPage({}, fence());
+
+    expect(document.querySelector('.mermaid-toolbar')).toBeNull();
+  });
+
+  it('should add the configured buttons below the diagram', async () => {
+    await renderPage({ toolbar: { items: ['png', 'copy'] } }, `${fence('title=Flow')}\n\n${fence('toolbar=false')}`);
+    const [first, second] = document.querySelectorAll('figure.mermaid-figure');
+    const toolbar = first.querySelector('pre.mermaid + .mermaid-toolbar');
+
+    expect(toolbar.getAttribute('role')).toBe('toolbar');
+    expect(Array.from(toolbar.querySelectorAll('button'), (item) => item.getAttribute('aria-label')))
+      .toEqual(['Download PNG', 'Copy mermaid source']);
+    expect(first.lastElementChild.tagName).toBe('FIGCAPTION');
+    expect(second.querySelector('.mermaid-toolbar')).toBeNull();
+  });
+
+  it('should copy the mermaid source', async () => {
+    const writeText = vi.fn(async () => {});
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+    await renderPage({ toolbar: true }, fence());
+
+    button('Copy mermaid source').click();
+    await flush();
+
+    expect(writeText).toHaveBeenCalledWith(source);
+    expect(document.querySelector('.mermaid-toolbar [role="status"]').textContent).toBe('Copied diagram source');
+  });
+
+  it('should download a standalone SVG without viewer transforms', async () => {
+    const downloads = captureDownloads();
+    await renderPage({ toolbar: true, viewer: true }, fence('title="Request lifecycle"'));
+
+    document.querySelector('.mermaid-viewer-controls button[aria-label="Zoom in"]').click();
+    button('Download SVG').click();
+
+    const [{ blob, fileName }] = downloads;
+    const markup = await blob.text();
+    expect(fileName).toBe('request-lifecycle.svg');
+    expect(blob.type).toBe('image/svg+xml');
+    expect(markup).toContain('xmlns="http://www.w3.org/2000/svg"');
+    expect(markup).toContain('width="120"');
+    expect(markup).not.toContain('scale(');
+  });
+
+  it('should rasterize the PNG at the configured scale', async () => {
+    const downloads = captureDownloads();
+    const context = { fillRect: vi.fn(), drawImage: vi.fn(), fillStyle: '' };
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(context);
+    vi.spyOn(HTMLCanvasElement.prototype, 'toBlob').mockImplementation(function (callback) {
+      callback(new Blob([`${this.width}x${this.height}`], { type: 'image/png' }));
+    });
+    // Load images synchronously instead of decoding the data URL
+    vi.spyOn(window, 'Image').mockImplementation(function () {
+      const image = {};
+      Object.defineProperty(image, 'src', { set: () => image.onload() });
+      return image;
+    });
+    await renderPage({ toolbar: { pngScale: 3 } }, fence());
+
+    button('Download PNG').click();
+
+    const [{ blob, fileName }] = downloads;
+    expect(fileName).toBe('mermaid-diagram.png');
+    expect(await blob.text()).toBe('360x240');
+    expect(context.drawImage).toHaveBeenCalledWith(expect.anything(), 0, 0, 360, 240);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { unified } from 'unified';
+import remarkParse from 'remark-parse';
+import remarkRehype from 'remark-rehype';
+import astroMermaid from '../astro-mermaid-integration.js';
+import { runRemark, setupIntegration } from './helpers.js';
+
+const markdown = `# Diagrams
+
+\`\`\`mermaid
+graph TD
+    A --> B
+\`\`\`
+
+Some text.
+
+\`\`\`mermaid
+pie title Pets
+    "Dogs": 386
+    "Cats":
+\`\`\`
+`;
+
+describe('build-time validation', () => {
+  it('should reject unknown validate modes', () => {
+    expect(() => astroMermaid({ validate: 'strict' })).toThrow(/Invalid validate/);
+  });
+
+  it('should not parse diagrams by default', async () => {
+    const { remark, logger } = await setupIntegration({}, 'build');
+
+    await runRemark(remark, markdown);
+
+    expect(remark[1].validate).toBe('off');
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  it('should warn about invalid diagrams with the fence line', async () => {
+    const { remark, logger } = await setupIntegration({ validate: 'warn' }, 'build');
+
+    await runRemark(remark, markdown);
+
+    expect(logger.warn).toHaveBeenCalledOnce();
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/^Invalid mermaid block #2 at \/posts\/test\.md:10: /));
+  });
+
+  it('should fail the build in error mode', async () => {
+    const { remark, logger } = await setupIntegration({ validate: 'error' }, 'build');
+
+    await expect(runRemark(remark, markdown)).rejects.toThrow(/1 invalid mermaid diagram in \/posts\/test\.md/);
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('/posts/test.md:10'));
+  });
+
+  it('should accept valid diagrams in error mode', async () => {
+    const { remark, logger } = await setupIntegration({ validate: 'error' }, 'build');
+
+    await runRemark(remark, markdown.slice(0, markdown.indexOf('Some text.')));
+
+    expect(logger.error).not.toHaveBeenCalled();
+  });
+
+  it('should validate diagrams reaching the rehype plugin', async () => {
+    const { rehype, logger } = await setupIntegration({ validate: 'warn' }, 'build');
+    const processor = unified().use(remarkParse).use(remarkRehype).use(rehype[0], rehype[1]);
+
+    await processor.run(processor.parse('Intro\n\n```mermaid\nsequenceDiagram\n    Alice->>\n```\n'), { path: '/posts/test.mdx' });
+
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/^Invalid mermaid block #1 at \/posts\/test\.mdx:3: /));
+  });
+});
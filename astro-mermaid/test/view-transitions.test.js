@@ -0,0 +1,142 @@
+// @vitest-environment happy-dom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { setupIntegration } from './helpers.js';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 10));
+
+// What Astro's ClientRouter does on a navigation: swap in a new body, then announce the page
+async function navigate(bodyHtml) {
+  document.dispatchEvent(new Event('astro:before-swap'));
+  const body = document.createElement('body');
+  body.innerHTML = bodyHtml;
+  document.documentElement.replaceChild(body, document.body);
+  document.dispatchEvent(new Event('astro:after-swap'));
+  document.dispatchEvent(new Event('astro:page-load'));
+  await flush();
+}
+
+const diagramPage = '<pre class="mermaid">graph TD\n    A --> B</pre>';
+const otherDiagramPage = '<pre class="mermaid">graph LR\n    C --> D</pre>';
+const plainPage = '<p>No diagrams here</p>';
+
+describe('ClientRouter lifecycle', () => {
+  let mermaid;
+  let importMermaid;
+  let listeners;
+
+  beforeEach(() => {
+    // Start from a fresh document so theme observers from earlier tests stay detached
+    const html = document.createElement('html');
+    html.append(document.createElement('head'), document.createElement('body'));
+    document.documentElement.remove();
+    document.appendChild(html);
+
+    // Remember the script's document listeners so every test starts without the previous one's
+    listeners = [];
+    const addEventListener = document.addEventListener.bind(document);
+    vi.spyOn(document, 'addEventListener').mockImplementation((type, listener, options) => {
+      listeners.push([type, listener]);
+      addEventListener(type, listener, options);
+    });
+
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    document.documentElement.setAttribute('data-theme', 'light');
+    mermaid = {
+      initialize: vi.fn(),
+      render: vi.fn(async (id) => ({ svg: `<svg id="${id}"></svg>` }))
+    };
+    importMermaid = vi.fn(async () => ({ default: mermaid }));
+  });
+
+  afterEach(() => {
+    for (const [type, listener] of listeners) {
+      document.removeEventListener(type, listener);
+    }
+    vi.restoreAllMocks();
+  });
+
+  async function start(bodyHtml, options) {
+    document.body.innerHTML = bodyHtml;
+    const { clientScript } = await setupIntegration({ lazy: false, ...options });
+    new Function('importMermaid', clientScript.replace("import('mermaid')", 'importMermaid()'))(importMermaid);
+    await flush();
+  }
+
+  it('should load mermaid on the first page that needs it', async () => {
+    await start(plainPage);
+    expect(importMermaid).not.toHaveBeenCalled();
+
+    await navigate(plainPage);
+    expect(importMermaid).not.toHaveBeenCalled();
+
+    await navigate(diagramPage);
+    expect(importMermaid).toHaveBeenCalledOnce();
+    expect(document.querySelector('pre.mermaid').hasAttribute('data-processed')).toBe(true);
+  });
+
+  it('should set up the initial page once when the router also announces it', async () => {
+    await start(diagramPage);
+    document.dispatchEvent(new Event('astro:page-load'));
+    await flush();
+
+    expect(mermaid.render).toHaveBeenCalledOnce();
+  });
+
+  it('should render the diagrams of every page it navigates to', async () => {
+    await start(diagramPage);
+    await navigate(otherDiagramPage);
+    expect(mermaid.render).toHaveBeenCalledTimes(2);
+    expect(document.querySelector('pre.mermaid svg')).not.toBeNull();
+
+    // Coming back is served from the render cache
+    await navigate(diagramPage);
+    expect(mermaid.render).toHaveBeenCalledTimes(2);
+    expect(importMermaid).toHaveBeenCalledOnce();
+    expect(document.querySelector('pre.mermaid svg')).not.toBeNull();
+  });
+
+  it('should stop watching the old page and follow the theme of the new one', async () => {
+    // Let the body's data-theme decide, the html element's would win over it
+    document.documentElement.removeAttribute('data-theme');
+    await start(diagramPage);
+    const oldBody = document.body;
+    const disconnect = vi.spyOn(MutationObserver.prototype, 'disconnect');
+
+    await navigate(otherDiagramPage);
+    expect(disconnect).toHaveBeenCalledOnce();
+    expect(mermaid.render).toHaveBeenCalledTimes(2);
+
+    oldBody.setAttribute('data-theme', 'dark');
+    await flush();
+    expect(mermaid.render).toHaveBeenCalledTimes(2);
+
+    document.body.setAttribute('data-theme', 'dark');
+    await flush();
+    expect(mermaid.render).toHaveBeenCalledTimes(3);
+  });
+
+  it('should ignore theme changes on pages without diagrams', async () => {
+    await start(diagramPage);
+    await navigate(plainPage);
+
+    document.documentElement.setAttribute('data-theme', 'dark');
+    await flush();
+
+    expect(mermaid.render).toHaveBeenCalledOnce();
+  });
+
+  it('should pick up a theme the new page arrives with', async () => {
+    await start(diagramPage);
+    document.dispatchEvent(new Event('astro:before-swap'));
+    // The router copies the new page's html attributes while no observer is listening
+    document.documentElement.setAttribute('data-theme', 'dark');
+    const body = document.createElement('body');
+    body.innerHTML = otherDiagramPage;
+    document.documentElement.replaceChild(body, document.body);
+    document.dispatchEvent(new Event('astro:page-load'));
+    await flush();
+
+    expect(mermaid.render).toHaveBeenCalledTimes(2);
+    expect(mermaid.initialize).toHaveBeenLastCalledWith(expect.objectContaining({ theme: 'dark' }));
+  });
+});
@@ -0,0 +1,126 @@
+// @vitest-environment happy-dom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { runRemark, setupIntegration } from './helpers.js';
+
+async function renderPage(options, markdown) {
+  const { remark, clientScript } = await setupIntegration({ lazy: false, ...options });
+  document.body.innerHTML = (await runRemark(remark, markdown)).join('');
+
+  let renders = 0;
+  const mermaid = {
+    initialize: vi.fn(),
+    render: vi.fn(async (id) => ({ svg: `<svg id="${id}" data-render="${++renders}"></svg>` }))
+  };
+  new Function('importMermaid', clientScript.replace("import('mermaid')", 'importMermaid()'))(
+    async () => ({ default: mermaid })
+  );
+  await flush();
+  return mermaid;
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const button = (container, label) => container.querySelector(`button[aria-label="${label}"]`);
+
+const fence = (meta = '') => `\`\`\`mermaid ${meta}\ngraph LR\n    A --- B\n\`\`\``;
+
+describe('pan and zoom viewer', () => {
+  beforeEach(() => {
+    // Start from a fresh document so theme observers from earlier tests stay detached
+    const html = document.createElement('html');
+    html.append(document.createElement('head'), document.createElement('body'));
+    document.documentElement.remove();
+    document.appendChild(html);
+
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    document.documentElement.setAttribute('data-theme', 'dark');
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should not add controls unless enabled', async () => {
+    await renderPage({}, fence());
+
+    expect(document.querySelector('.mermaid-viewer-controls')).toBeNull();
+    expect(document.querySelector('pre.mermaid').hasAttribute('data-viewer-active')).toBe(false);
+  });
+
+  it('should add zoom controls to rendered diagrams', async () => {
+    await renderPage({ viewer: true }, fence());
+    const figure = document.querySelector('figure.mermaid-figure');
+    const diagram = figure.querySelector('pre.mermaid');
+    const controls = figure.querySelector(':scope > .mermaid-viewer-controls');
+
+    expect(diagram.getAttribute('data-viewer-active')).toBe('true');
+    expect(controls.getAttribute('role')).toBe('toolbar');
+    expect(Array.from(controls.querySelectorAll('button'), (item) => item.getAttribute('aria-label')))
+      .toEqual(['Zoom in', 'Zoom out', 'Reset zoom', 'Open fullscreen']);
+
+    button(controls, 'Zoom in').click();
+    expect(diagram.querySelector('svg').style.transform).toBe('translate(0px, 0px) scale(1.25)');
+
+    button(controls, 'Reset zoom').click();
+    expect(diagram.querySelector('svg').style.transform).toBe('translate(0px, 0px) scale(1)');
+  });
+
+  it('should honour the viewer fence flag', async () => {
+    await renderPage({ viewer: true }, `${fence('viewer=false')}\n\n${fence()}`);
+    const [optedOut, enabled] = document.querySelectorAll('pre.mermaid');
+
+    expect(optedOut.getAttribute('data-viewer')).toBe('false');
+    expect(optedOut.hasAttribute('data-viewer-active')).toBe(false);
+    expect(enabled.hasAttribute('data-viewer-active')).toBe(true);
+
+    await renderPage({}, fence('viewer'));
+    expect(document.querySelectorAll('.mermaid-viewer-controls')).toHaveLength(1);
+  });
+
+  it('should pan by dragging and zoom with ctrl + wheel only', async () => {
+    await renderPage({ viewer: true }, fence());
+    const diagram = document.querySelector('pre.mermaid');
+    const pointer = (type, x, y) => new PointerEvent(type, { pointerId: 1, button: 0, clientX: x, clientY: y });
+
+    diagram.dispatchEvent(pointer('pointerdown', 10, 10));
+    diagram.dispatchEvent(pointer('pointermove', 40, 30));
+    diagram.dispatchEvent(pointer('pointerup', 40, 30));
+    expect(diagram.querySelector('svg').style.transform).toBe('translate(30px, 20px) scale(1)');
+
+    const scroll = new WheelEvent('wheel', { deltaY: -100, cancelable: true });
+    diagram.dispatchEvent(scroll);
+    expect(scroll.defaultPrevented).toBe(false);
+    expect(diagram.querySelector('svg').style.transform).toContain('scale(1)');
+
+    const pinch = new WheelEvent('wheel', { deltaY: -100, cancelable: true });
+    // happy-dom ignores modifier keys in the WheelEvent init dict
+    Object.defineProperty(pinch, 'ctrlKey', { value: true });
+    diagram.dispatchEvent(pinch);
+    expect(pinch.defaultPrevented).toBe(true);
+    expect(diagram.querySelector('svg').style.transform).not.toContain('scale(1)');
+  });
+
+  it('should keep the zoom level and fullscreen copy when the theme re-renders the diagram', async () => {
+    const mermaid = await renderPage({ viewer: true }, fence());
+    const diagram = document.querySelector('pre.mermaid');
+
+    button(document, 'Zoom in').click();
+    button(document, 'Open fullscreen').click();
+    const dialog = document.querySelector('dialog.mermaid-viewer-dialog');
+    expect(dialog.open).toBe(true);
+    expect(dialog.querySelector('.mermaid-viewer-stage > svg').getAttribute('data-render')).toBe('1');
+
+    document.documentElement.setAttribute('data-theme', 'catppuccin-latte');
+    await flush();
+
+    expect(mermaid.render).toHaveBeenCalledTimes(2);
+    expect(diagram.querySelector('svg').getAttribute('data-render')).toBe('2');
+    expect(diagram.querySelector('svg').style.transform).toBe('translate(0px, 0px) scale(1.25)');
+    expect(dialog.querySelector('.mermaid-viewer-stage > svg').getAttribute('data-render')).toBe('2');
+    expect(document.querySelectorAll('.mermaid-viewer-controls')).toHaveLength(2);
+
+    button(dialog, 'Close fullscreen').click();
+    expect(dialog.open).toBe(false);
+    expect(dialog.querySelector('.mermaid-viewer-stage').children).toHaveLength(0);
+  });
+});
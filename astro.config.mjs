@@ -7,6 +7,8 @@ import { rehypeHeadingIds } from '@astrojs/markdown-remark'
 import rehypeAutolinkHeadings from 'rehype-autolink-headings'
 import expressiveCode from 'astro-expressive-code'
 import siteConfig from './src/site.config'
+import { postsLastModified } from './src/last-modified' /* Sitemap lastmod from post metadata */
+import { fileURLToPath } from 'url'
 import { pluginLineNumbers } from '@expressive-code/plugin-line-numbers'
 import remarkDescription from './src/plugins/remark-description' /* Add description to frontmatter */
 import remarkReadingTime from './src/plugins/remark-reading-time' /* Add reading time to frontmatter */
@@ -22,9 +24,12 @@ import remarkUnknownDirectives from './src/plugins/remark-unknown-directives' /*
 import remarkMath from 'remark-math' /* for latex math support */
 import rehypeKatex from 'rehype-katex' /* again, for latex math support */
 import remarkGemoji from './src/plugins/remark-gemoji' /* for shortcode emoji support */
-import mermaid from 'astro-mermaid';
+import mermaid, { graphviz } from 'astro-mermaid';
 import rehypePixelated from './src/plugins/rehype-pixelated' /* Custom plugin to handle pixelated images */
 
+/** @type {Map<string, Date> | undefined} */
+let postDates
+
 // https://astro.build/config
 export default defineConfig({
   site: siteConfig.site,
@@ -38,7 +43,7 @@ export default defineConfig({
       remarkGithubCard,
       remarkAdmonitions,
       [remarkCharacterDialogue, { characters: siteConfig.characters }],
-      remarkUnknownDirectives,
+      [remarkUnknownDirectives, { ignore: ['mermaid'] }], // ::mermaid{src=...} is inlined by astro-mermaid
       remarkMath,
       remarkGemoji,
     ],
@@ -67,9 +72,22 @@ export default defineConfig({
   integrations: [
     mermaid({
       theme: 'dark',
-      autoTheme: true
+      autoTheme: true,
+      autoThemeVariables: true, // Derive diagram colors from the active site theme
+      validate: 'error', // Fail the build on mermaid syntax errors
+      engines: [graphviz()], // ```dot and ```graphviz fences
+    }),
+    sitemap({
+      // Posts are dated by their frontmatter, like their article:modified_time
+      serialize(item) {
+        postDates ??= postsLastModified(fileURLToPath(new URL('./src/content/posts/', import.meta.url)), {
+          updatedFromGit: siteConfig.updatedFromGit,
+        })
+        const id = new URL(item.url).pathname.match(/^\/posts\/(.+?)\/?$/)?.[1]
+        const lastmod = id && postDates.get(id)
+        return lastmod ? { ...item, lastmod: lastmod.toISOString() } : item
+      },
     }),
-    sitemap(),
     expressiveCode({
       themes: siteConfig.themes.include,
       useDarkModeMediaQuery: false,
@@ -1,17 +1,24 @@
-import { defineCollection, z } from 'astro:content'
+import { defineCollection, reference, z } from 'astro:content'
 import { glob } from 'astro/loaders'
+import { postId } from '~/post-id'
+import { seriesStatuses, socialCardLayouts } from '~/types'
 
 const postsCollection = defineCollection({
-  loader: glob({ pattern: ['**/*.md', '**/*.mdx'], base: './src/content/posts' }),
+  loader: glob({
+    pattern: ['**/*.md', '**/*.mdx'],
+    base: './src/content/posts',
+    generateId: postId,
+  }),
   schema: ({ image }) =>
     z.object({
       title: z.string(),
       published: z.coerce.date(),
-      // updated: z.coerce.date().optional(),
+      updated: z.coerce.date().optional(), // Falls back to git history with updatedFromGit
       draft: z.boolean().optional().default(false),
       description: z.string().optional(),
       author: z.string().optional(),
-      series: z.string().optional(),
+      series: reference('series').optional(), // File name of the series in src/content/series
+      seriesOrder: z.number().int().positive().optional(), // Part number, publication order by default
       tags: z.array(z.string()).optional().default([]),
       coverImage: z
         .strictObject({
@@ -20,6 +27,24 @@ const postsCollection = defineCollection({
         })
         .optional(),
       toc: z.boolean().optional().default(true),
+      // Defaults to 'cover' for posts with a cover image and 'standard' otherwise
+      socialCard: z.enum(socialCardLayouts).optional(),
+    }),
+})
+
+const seriesCollection = defineCollection({
+  loader: glob({ pattern: ['**/*.md', '**/*.mdx'], base: './src/content/series' }),
+  schema: ({ image }) =>
+    z.object({
+      title: z.string(),
+      description: z.string().optional(),
+      coverImage: z
+        .strictObject({
+          src: image(),
+          alt: z.string(),
+        })
+        .optional(),
+      status: z.enum(seriesStatuses).optional().default('ongoing'),
     }),
 })
 
@@ -52,6 +77,7 @@ const addendumCollection = defineCollection({
 
 export const collections = {
   posts: postsCollection,
+  series: seriesCollection,
   home: homeCollection,
   addendum: addendumCollection,
 }
@@ -0,0 +1,247 @@
+import { getContainerRenderer as getMDXRenderer } from '@astrojs/mdx'
+import rss from '@astrojs/rss'
+import { experimental_AstroContainer as AstroContainer } from 'astro/container'
+import { loadRenderers } from 'astro:container'
+import { render, type CollectionEntry } from 'astro:content'
+import rehypeParse from 'rehype-parse'
+import rehypeStringify from 'rehype-stringify'
+import sanitizeHtml from 'sanitize-html'
+import { unified } from 'unified'
+import rehypeFeed from '~/plugins/rehype-feed'
+import siteConfig from '~/site.config'
+import type { FeedItem, FeedMetadata } from '~/types'
+import { feedUrl, SeriesGroup, TagsGroup } from '~/utils'
+
+export const siteFeedMetadata: FeedMetadata = {
+  title: siteConfig.title,
+  description: siteConfig.description,
+  path: '/',
+}
+
+// MathML elements and attributes KaTeX renders next to its HTML output
+const mathAttributes: Record<string, string[]> = {
+  math: ['xmlns', 'display'],
+  semantics: [],
+  annotation: ['encoding'],
+  mrow: [],
+  mi: ['mathvariant'],
+  mo: [
+    'fence',
+    'separator',
+    'stretchy',
+    'lspace',
+    'rspace',
+    'largeop',
+    'movablelimits',
+    'minsize',
+    'maxsize',
+  ],
+  mn: [],
+  ms: [],
+  mtext: [],
+  mspace: ['width'],
+  msup: [],
+  msub: [],
+  msubsup: [],
+  mfrac: ['linethickness'],
+  msqrt: [],
+  mroot: [],
+  mover: ['accent'],
+  munder: ['accentunder'],
+  munderover: [],
+  mtable: ['columnalign', 'rowspacing', 'columnspacing'],
+  mtr: [],
+  mtd: ['columnalign'],
+  mstyle: ['displaystyle', 'scriptlevel', 'mathcolor'],
+  mpadded: ['width', 'height', 'depth', 'lspace', 'voffset'],
+  mphantom: [],
+  menclose: ['notation'],
+}
+
+const sanitizeOptions: sanitizeHtml.IOptions = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat([
+    'img',
+    ...Object.keys(mathAttributes),
+  ]),
+  allowedAttributes: {
+    ...sanitizeHtml.defaults.allowedAttributes,
+    ...mathAttributes,
+    img: ['src', 'srcset', 'sizes', 'alt', 'title', 'width', 'height'],
+    code: ['class'],
+  },
+}
+
+let containerPromise: Promise<AstroContainer> | undefined
+const feedContent = new Map<string, Promise<string>>()
+
+/** Renders a post like its page does, through the Markdown pipeline in astro.config.mjs. */
+async function renderPost(post: CollectionEntry<'posts'>) {
+  containerPromise ??= loadRenderers([getMDXRenderer()]).then((renderers) =>
+    AstroContainer.create({ renderers }),
+  )
+  const container = await containerPromise
+  const { Content } = await render(post)
+  return container.renderToString(Content)
+}
+
+/** Absolute URL of a post's page. */
+export function postUrl(post: CollectionEntry<'posts'>) {
+  return new URL(`/posts/${post.id}`, siteConfig.site).href
+}
+
+/**
+ * Post HTML for feed readers, with static fallbacks for interactive pieces.
+ * Rendered once per post and shared by every feed it appears in.
+ */
+export function renderFeedContent(post: CollectionEntry<'posts'>) {
+  let content = feedContent.get(post.id)
+  if (!content) {
+    content = renderPost(post).then(async (html) => {
+      const file = await unified()
+        .use(rehypeParse, { fragment: true })
+        .use(rehypeFeed, { url: postUrl(post) })
+        .use(rehypeStringify)
+        .process(html)
+      return sanitizeHtml(String(file), sanitizeOptions)
+    })
+    feedContent.set(post.id, content)
+  }
+  return content
+}
+
+/** Feed items for the given posts, newest first. */
+export async function getFeedItems(
+  posts: CollectionEntry<'posts'>[],
+): Promise<FeedItem[]> {
+  const items = await Promise.all(
+    posts.map(async (post) => ({
+      id: post.id,
+      title: post.data.title,
+      url: postUrl(post),
+      published: post.data.published,
+      updated: post.data.updated,
+      description: post.data.description,
+      author: post.data.author || siteConfig.author,
+      tags: post.data.tags,
+      content: await renderFeedContent(post),
+    })),
+  )
+  return items.sort((a, b) => b.published.getTime() - a.published.getTime())
+}
+
+/** Static paths for the feeds of every tag, next to the tag's pages. */
+export async function getTagFeedPaths() {
+  const tagsGroup = await TagsGroup.build()
+  return tagsGroup.collations.map((tag) => ({
+    params: { tag: tag.titleSlug },
+    props: { feed: tagsGroup.feedMetadata(tag), posts: tag.entries },
+  }))
+}
+
+/** Static paths for the feeds of every series, next to the series page. */
+export async function getSeriesFeedPaths() {
+  const seriesGroup = await SeriesGroup.build()
+  return seriesGroup.collations.map((series) => ({
+    params: { slug: series.titleSlug },
+    props: { feed: seriesGroup.feedMetadata(series), posts: series.entries },
+  }))
+}
+
+function escapeXml(value: string) {
+  return value
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&apos;')
+}
+
+// https://docs.astro.build/en/recipes/rss/
+export function rssResponse(metadata: FeedMetadata, items: FeedItem[]) {
+  return rss({
+    stylesheet: '/rss.xsl',
+    title: metadata.title,
+    description: metadata.description,
+    site: new URL(metadata.path, siteConfig.site).href,
+    xmlns: { atom: 'http://www.w3.org/2005/Atom' },
+    customData: `<atom:link href="${feedUrl(metadata, 'rss.xml')}" rel="self" type="application/rss+xml"/>`,
+    items: items.map((item) => ({
+      title: item.title,
+      pubDate: item.published,
+      description: item.description,
+      author: item.author,
+      link: item.url,
+      categories: item.tags,
+      content: item.content,
+    })),
+    trailingSlash: false,
+  })
+}
+
+// https://datatracker.ietf.org/doc/html/rfc4287
+export function atomResponse(metadata: FeedMetadata, items: FeedItem[]) {
+  // The feed changes whenever any of its entries does, revisions included
+  const updated = items.reduce<Date | undefined>((latest, item) => {
+    const date = item.updated ?? item.published
+    return latest && latest > date ? latest : date
+  }, undefined)
+  const entries = items.map((item) =>
+    [
+      '  <entry>',
+      `    <title>${escapeXml(item.title)}</title>`,
+      `    <link href="${escapeXml(item.url)}" rel="alternate" type="text/html"/>`,
+      `    <id>${escapeXml(item.url)}</id>`,
+      `    <published>${item.published.toISOString()}</published>`,
+      `    <updated>${(item.updated ?? item.published).toISOString()}</updated>`,
+      `    <author><name>${escapeXml(item.author)}</name></author>`,
+      ...(item.description
+        ? [`    <summary>${escapeXml(item.description)}</summary>`]
+        : []),
+      ...item.tags.map((tag) => `    <category term="${escapeXml(tag)}"/>`),
+      `    <content type="html">${escapeXml(item.content)}</content>`,
+      '  </entry>',
+    ].join('\n'),
+  )
+  const feed = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(metadata.title)}</title>`,
+    `  <subtitle>${escapeXml(metadata.description)}</subtitle>`,
+    `  <link href="${feedUrl(metadata, 'atom.xml')}" rel="self" type="application/atom+xml"/>`,
+    `  <link href="${new URL(metadata.path, siteConfig.site).href}" rel="alternate" type="text/html"/>`,
+    `  <id>${new URL(metadata.path, siteConfig.site).href}</id>`,
+    `  <updated>${(updated ?? new Date()).toISOString()}</updated>`,
+    `  <author><name>${escapeXml(siteConfig.author)}</name></author>`,
+    ...entries,
+    '</feed>',
+  ]
+  return new Response(feed.join('\n') + '\n', {
+    headers: { 'Content-Type': 'application/atom+xml; charset=utf-8' },
+  })
+}
+
+// https://www.jsonfeed.org/version/1.1/
+export function jsonFeedResponse(metadata: FeedMetadata, items: FeedItem[]) {
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: metadata.title,
+    home_page_url: new URL(metadata.path, siteConfig.site).href,
+    feed_url: feedUrl(metadata, 'feed.json'),
+    description: metadata.description,
+    authors: [{ name: siteConfig.author }],
+    items: items.map((item) => ({
+      id: item.url,
+      url: item.url,
+      title: item.title,
+      summary: item.description,
+      content_html: item.content,
+      date_published: item.published.toISOString(),
+      date_modified: item.updated?.toISOString(),
+      authors: [{ name: item.author }],
+      tags: item.tags,
+    })),
+  }
+  return new Response(JSON.stringify(feed, null, 2), {
+    headers: { 'Content-Type': 'application/feed+json; charset=utf-8' },
+  })
+}
@@ -0,0 +1,56 @@
+import { execFileSync } from 'child_process'
+import fs from 'fs'
+import path from 'path'
+import { parseFrontmatter } from '@astrojs/markdown-remark'
+import { postId } from './post-id'
+
+const gitDates = new Map<string, Date | undefined>()
+
+/** Date of the last commit touching a file, undefined outside a git checkout or for new files. */
+export function gitLastModified(file: string) {
+  if (!gitDates.has(file)) {
+    let date: Date | undefined
+    try {
+      const output = execFileSync('git', ['log', '-1', '--format=%cI', '--', file], {
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'ignore'],
+      }).trim()
+      date = output ? new Date(output) : undefined
+    } catch {
+      date = undefined
+    }
+    gitDates.set(file, date)
+  }
+  return gitDates.get(file)
+}
+
+const day = (date: Date) => date.toISOString().split('T')[0]
+
+/** Date of the last commit touching a post, unless it falls on the publication day. */
+export function gitRevised(file: string, published: Date) {
+  const date = gitLastModified(file)
+  return date && day(date) > day(published) ? date : undefined
+}
+
+/**
+ * Last revision of every post by its id, read from the frontmatter of the files in the posts
+ * collection, so the sitemap's lastmod agrees with the post pages.
+ */
+export function postsLastModified(postsDir: string, { updatedFromGit = false } = {}) {
+  const dates = new Map<string, Date>()
+  for (const file of fs.readdirSync(postsDir, { recursive: true, encoding: 'utf8' })) {
+    if (!/\.mdx?$/.test(file)) continue
+    const filePath = path.join(postsDir, file)
+    const { frontmatter } = parseFrontmatter(fs.readFileSync(filePath, 'utf8'))
+
+    const published = new Date(frontmatter.published)
+    const updated = frontmatter.updated
+      ? new Date(frontmatter.updated)
+      : updatedFromGit
+        ? gitRevised(filePath, published)
+        : undefined
+    const id = postId({ entry: file.split(path.sep).join('/'), data: frontmatter })
+    dates.set(id, updated ?? published)
+  }
+  return dates
+}
@@ -0,0 +1,15 @@
+import siteConfig from '~/site.config'
+import type { AstroGlobal } from 'astro'
+import { getSortedPosts } from '~/utils'
+import { getFeedItems, atomResponse, siteFeedMetadata } from '~/feeds'
+
+export async function GET(_context: AstroGlobal) {
+  if (!siteConfig.site) {
+    console.warn(
+      'Site URL is required for Atom feed generation. Skipping Atom feed generation.',
+    )
+    return
+  }
+  const posts = await getSortedPosts()
+  return atomResponse(siteFeedMetadata, await getFeedItems(posts))
+}
@@ -0,0 +1,15 @@
+import siteConfig from '~/site.config'
+import type { AstroGlobal } from 'astro'
+import { getSortedPosts } from '~/utils'
+import { getFeedItems, jsonFeedResponse, siteFeedMetadata } from '~/feeds'
+
+export async function GET(_context: AstroGlobal) {
+  if (!siteConfig.site) {
+    console.warn(
+      'Site URL is required for JSON Feed generation. Skipping JSON Feed generation.',
+    )
+    return
+  }
+  const posts = await getSortedPosts()
+  return jsonFeedResponse(siteFeedMetadata, await getFeedItems(posts))
+}
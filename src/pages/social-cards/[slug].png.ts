@@ -1,90 +1,49 @@
+import type { APIContext, InferGetStaticPropsType, MarkdownInstance } from 'astro'
 import siteConfig from '~/site.config'
-import { Resvg } from '@resvg/resvg-js'
-import type { APIContext, InferGetStaticPropsType } from 'astro'
-import satori, { type SatoriOptions } from 'satori'
-import { html } from 'satori-html'
-import { dateString, getSortedPosts, resolveThemeColorStyles } from '~/utils'
-import path from 'path'
-import fs from 'fs'
-import type { ReactNode } from 'react'
-
-// Load the font file as binary data
-const fontPath = path.resolve(
-  './node_modules/@expo-google-fonts/jetbrains-mono/400Regular/JetBrainsMono_400Regular.ttf',
-)
-const fontData = fs.readFileSync(fontPath) // Reads the file as a Buffer
-
-const defaultTheme =
-  siteConfig.themes.default === 'auto'
-    ? siteConfig.themes.include[0]
-    : siteConfig.themes.default
-
-const themeStyles = await resolveThemeColorStyles(
-  [defaultTheme],
-  siteConfig.themes.overrides,
-)
-const bg = themeStyles[defaultTheme]?.background
-const fg = themeStyles[defaultTheme]?.foreground
-const accent = themeStyles[defaultTheme]?.accent
-
-if (!bg || !fg || !accent) {
-  throw new Error(`Theme ${defaultTheme} does not have required colors`)
-}
-
-const ogOptions: SatoriOptions = {
-  // debug: true,
-  fonts: [
-    {
-      data: fontData,
-      name: 'JetBrains Mono',
-      style: 'normal',
-      weight: 400,
-    },
-  ],
-  height: 630,
-  width: 1200,
-}
-
-const markup = (title: string, pubDate: string | undefined, author: string) =>
-  html(`<div tw="flex flex-col max-w-full justify-center h-full bg-[${bg}] text-[${fg}] p-12">
-    <div style="border-width: 12px; border-radius: 80px;" tw="flex items-center max-w-full p-8 border-[${accent}]/30">
-      <div tw="flex flex-1 flex-col max-w-full justify-center items-center">
-        ${pubDate ? `<p tw="text-3xl max-w-full text-[${accent}]">${pubDate}</p>` : ''}
-        <h1 tw="text-6xl my-14 text-center leading-snug">${title}</h1>
-        ${author !== title ? `<p tw="text-4xl text-[${accent}]">${author}</p>` : ''}
-      </div>
-    </div>
-  </div>`)
+import { postSocialCard, renderSocialCard } from '~/social-cards'
+import type { SocialCard } from '~/types'
+import { getSortedPosts, SeriesGroup } from '~/utils'
 
 type Props = InferGetStaticPropsType<typeof getStaticPaths>
 
 export async function GET(context: APIContext) {
-  const { pubDate, title, author } = context.props as Props
-  const svg = await satori(markup(title, pubDate, author) as ReactNode, ogOptions)
-  const png = new Resvg(svg).render().asPng()
-  return new Response(png, {
-    headers: {
-      'Cache-Control': 'public, max-age=31536000, immutable',
-      'Content-Type': 'image/png',
-    },
-  })
+  const { card } = context.props as Props
+  return renderSocialCard(card)
 }
 
 export async function getStaticPaths() {
   const posts = await getSortedPosts()
-  return posts
-    .map((post) => ({
-      params: { slug: post.id },
-      props: {
-        pubDate: post.data.published ? dateString(post.data.published) : undefined,
-        title: post.data.title,
-        author: post.data.author || siteConfig.author,
-      },
-    }))
-    .concat([
-      {
-        params: { slug: '__default' },
-        props: { pubDate: undefined, title: siteConfig.title, author: siteConfig.author },
-      },
-    ])
+  const seriesGroup = await SeriesGroup.build()
+  // Top-level Markdown pages like /about, named after their URL
+  const pages = Object.values(
+    import.meta.glob<MarkdownInstance<{ title: string }>>('/src/pages/*.md', {
+      eager: true,
+    }),
+  )
+  const defaultCard: SocialCard = {
+    layout: 'minimal',
+    title: siteConfig.title,
+    author: siteConfig.author,
+  }
+  return [
+    ...(await Promise.all(
+      posts.map(async (post) => ({
+        params: { slug: post.id },
+        props: { card: await postSocialCard(post, seriesGroup) },
+      })),
+    )),
+    ...pages
+      .filter((page) => page.url)
+      .map((page) => ({
+        params: { slug: page.url!.replace(/^\//, '') },
+        props: {
+          card: {
+            ...defaultCard,
+            layout: 'standard',
+            title: page.frontmatter.title,
+          } satisfies SocialCard,
+        },
+      })),
+    { params: { slug: '__default' }, props: { card: defaultCard } },
+  ]
 }
@@ -0,0 +1,18 @@
+import type { APIContext, InferGetStaticPropsType } from 'astro'
+import { seriesSocialCard, renderSocialCard } from '~/social-cards'
+import { SeriesGroup } from '~/utils'
+
+type Props = InferGetStaticPropsType<typeof getStaticPaths>
+
+export async function GET(context: APIContext) {
+  const { card } = context.props as Props
+  return renderSocialCard(card)
+}
+
+export async function getStaticPaths() {
+  const seriesGroup = await SeriesGroup.build()
+  return seriesGroup.collations.map((series) => ({
+    params: { slug: series.titleSlug },
+    props: { card: seriesSocialCard(series) },
+  }))
+}
@@ -0,0 +1,18 @@
+import type { APIContext, InferGetStaticPropsType } from 'astro'
+import { tagSocialCard, renderSocialCard } from '~/social-cards'
+import { TagsGroup } from '~/utils'
+
+type Props = InferGetStaticPropsType<typeof getStaticPaths>
+
+export async function GET(context: APIContext) {
+  const { card } = context.props as Props
+  return renderSocialCard(card)
+}
+
+export async function getStaticPaths() {
+  const tagsGroup = await TagsGroup.build()
+  return tagsGroup.collations.map((tag) => ({
+    params: { tag: tag.titleSlug },
+    props: { card: tagSocialCard(tag) },
+  }))
+}
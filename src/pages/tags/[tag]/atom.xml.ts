@@ -0,0 +1,10 @@
+import type { APIContext, GetStaticPaths, InferGetStaticPropsType } from 'astro'
+import { getFeedItems, getTagFeedPaths, atomResponse } from '~/feeds'
+
+export const getStaticPaths = (() => getTagFeedPaths()) satisfies GetStaticPaths
+
+type Props = InferGetStaticPropsType<typeof getStaticPaths>
+
+export async function GET({ props }: APIContext<Props>) {
+  return atomResponse(props.feed, await getFeedItems(props.posts))
+}
@@ -0,0 +1,139 @@
+import type { Element, ElementContent, Root } from 'hast'
+import { h } from 'hastscript'
+import { select, selectAll } from 'hast-util-select'
+import { toString } from 'hast-util-to-string'
+import type { Plugin } from 'unified'
+import { visit } from 'unist-util-visit'
+
+interface RehypeFeedOptions {
+  // Absolute URL of the post, relative links and images resolve against it
+  url: string
+}
+
+/** Checks if an element carries a class name. */
+function hasClass(el: Element, className: string) {
+  const classes = el.properties?.className
+  return Array.isArray(classes) && classes.includes(className)
+}
+
+/** Diagrams only render in the browser, so readers get their source and a link to the live one. */
+function diagramFallback(el: Element, url: string): Element {
+  const pre = el.tagName === 'pre' ? el : select('pre.mermaid', el)
+  const caption = select('figcaption', el)
+  const id = el.properties?.id
+  const engine = `${pre?.properties?.dataEngine ?? 'mermaid'}`
+  // Pre-rendered diagrams replace their source with an SVG, the toolbar keeps a copy in data-diagram
+  const source =
+    pre?.properties?.dataDiagram ??
+    (pre?.children.every((child) => child.type === 'text') ? toString(pre) : undefined)
+  const link = h('a', { href: id ? `${url}#${id}` : url }, 'View the diagram')
+
+  const figcaption = h(
+    'figcaption',
+    caption ? [...caption.children, ' (', link, ')'] : [link],
+  )
+
+  if (!source) return h('figure', [figcaption])
+  return h('figure', [
+    h('pre', [h('code', { class: `language-${engine}` }, `${source}`)]),
+    figcaption,
+  ])
+}
+
+/** Expressive Code splits lines into styled divs, readers get a plain code block instead. */
+function codeFallback(el: Element): Element {
+  const language = select('pre', el)?.properties?.dataLanguage
+  const title = toString(select('figcaption .title', el) ?? { type: 'text', value: '' })
+  // Only the code of each line, line numbers live in a sibling gutter
+  const lines = selectAll('.ec-line', el).map((line) =>
+    toString(select('.code', line) ?? line),
+  )
+  const code = h('pre', [
+    h('code', language ? { class: `language-${language}` } : {}, lines.join('\n')),
+  ])
+  return title ? h('figure', [h('figcaption', title), code]) : code
+}
+
+/** Readers do not load KaTeX's stylesheet, but most of them display the MathML it renders alongside. */
+function mathFallback(el: Element): Element | undefined {
+  return select('math', el)
+}
+
+function admonitionFallback(el: Element): Element {
+  const title = select('.admonition-title', el)
+  const content = select('.admonition-content', el)
+  return h('blockquote', [
+    h('p', [h('strong', title?.children ?? [])]),
+    ...(content?.children ?? []),
+  ])
+}
+
+function characterDialogueFallback(el: Element): Element {
+  const content = select('.character-dialogue-content', el)
+  return h('blockquote', [
+    h('p', [h('strong', `${el.properties?.dataCharacter}:`)]),
+    ...(content?.children ?? []),
+  ])
+}
+
+function githubCardFallback(el: Element): Element {
+  const link = select('a.gh-text', el)
+  const description = select('.gh-description', el)
+  const card = h('p', [
+    h('a', { href: link?.properties?.href }, link ? toString(link) : ''),
+  ])
+  if (description)
+    card.children.push({ type: 'text', value: `: ${toString(description)}` })
+  return card
+}
+
+/** Picks the feed-friendly replacement for an interactive or heavily styled element. */
+function feedFallback(el: Element, url: string): Element | undefined {
+  if (hasClass(el, 'expressive-code')) return codeFallback(el)
+  if (
+    hasClass(el, 'mermaid-figure') ||
+    (el.tagName === 'pre' && hasClass(el, 'mermaid'))
+  ) {
+    return diagramFallback(el, url)
+  }
+  if (hasClass(el, 'katex-display') || hasClass(el, 'katex')) return mathFallback(el)
+  if (el.tagName === 'aside' && hasClass(el, 'admonition')) return admonitionFallback(el)
+  if (el.tagName === 'aside' && hasClass(el, 'character-dialogue')) {
+    return characterDialogueFallback(el)
+  }
+  if (hasClass(el, 'github-card')) return githubCardFallback(el)
+}
+
+/**
+ * Rewrites a rendered post for feed readers: swaps interactive pieces for static
+ * fallbacks and makes every URL absolute.
+ */
+const rehypeFeed: Plugin<[RehypeFeedOptions], Root> = ({ url }) => {
+  return function transformer(tree) {
+    visit(tree, 'element', (el, index, parent) => {
+      const fallback = feedFallback(el, url)
+      if (fallback === undefined || !parent || index === undefined) return
+      parent.children[index] = fallback as ElementContent
+      // Visit the replacement too, admonitions can hold math, code and diagrams
+      return index
+    })
+
+    // Feed readers show content away from the site, so links and images need absolute URLs
+    visit(tree, 'element', (el) => {
+      const { href, src, srcSet } = el.properties
+      if (typeof href === 'string') el.properties.href = new URL(href, url).href
+      if (typeof src === 'string') el.properties.src = new URL(src, url).href
+      if (typeof srcSet === 'string') {
+        el.properties.srcSet = srcSet
+          .split(',')
+          .map((candidate) => {
+            const [source, ...descriptor] = candidate.trim().split(/\s+/)
+            return [new URL(source, url).href, ...descriptor].join(' ')
+          })
+          .join(', ')
+      }
+    })
+  }
+}
+
+export default rehypeFeed
@@ -40,13 +40,21 @@ function transformUnhandledDirective(
   }
 }
 
-const remarkUnknownAdmonitions: Plugin<[], Root> = () => (tree) => {
-  visit(tree, (node, index, parent) => {
-    if (!parent || index === undefined || !isNodeDirective(node)) return
-    if (node.type === 'textDirective' || node.type === 'leafDirective') {
-      transformUnhandledDirective(node, index, parent)
-    }
-  })
+interface Options {
+  /** Directive names handled by plugins running later, e.g. astro-mermaid's `::mermaid` */
+  ignore?: string[]
 }
 
+const remarkUnknownAdmonitions: Plugin<[Options?], Root> =
+  ({ ignore = [] } = {}) =>
+  (tree) => {
+    visit(tree, (node, index, parent) => {
+      if (!parent || index === undefined || !isNodeDirective(node)) return
+      if (ignore.includes(node.name)) return
+      if (node.type === 'textDirective' || node.type === 'leafDirective') {
+        transformUnhandledDirective(node, index, parent)
+      }
+    })
+  }
+
 export default remarkUnknownAdmonitions
@@ -0,0 +1,21 @@
+import { slug } from 'github-slugger'
+
+/**
+ * Id of a post: its `slug` field, or its path in src/content/posts slugified without the
+ * extension and a trailing `/index`. The posts collection's loader and the sitemap share it.
+ */
+export function postId({
+  entry,
+  data,
+}: {
+  entry: string
+  data: Record<string, unknown>
+}) {
+  if (typeof data.slug === 'string') return data.slug
+  return entry
+    .replace(/\.mdx?$/, '')
+    .split('/')
+    .map((segment) => slug(segment))
+    .join('/')
+    .replace(/\/index$/, '')
+}
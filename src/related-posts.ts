@@ -0,0 +1,110 @@
+import type { CollectionEntry } from 'astro:content'
+import siteConfig from '~/site.config'
+
+type Post = CollectionEntry<'posts'>
+
+type TermVector = Map<string, number>
+
+// Words too common in English prose to tell posts apart
+const stopWords = new Set(
+  `about after again also among an and any are because been before being between both
+  but can could did does doing down during each few for from further had has have having
+  her here hers him his how into its itself just more most much must not now off once only
+  other our ours out over own same she should some such than that the their theirs them
+  then there these they this those through too under until very was way were what when where
+  which while who whom why will with would you your yours`.split(/\s+/),
+)
+
+/** Lowercase words of a post, without code, links and Markdown syntax. */
+function tokenize(text: string) {
+  return text
+    .replace(/```[\s\S]*?```/g, ' ') // Fenced code blocks
+    .replace(/`[^`]*`/g, ' ')
+    .replace(/\]\([^)]*\)/g, ' ') // Link targets, their text is kept
+    .replace(/https?:\/\/\S+/g, ' ')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length > 2 && !stopWords.has(word) && !/^\d+$/.test(word))
+}
+
+/** TF-IDF vectors of every post, normalized so their dot product is the cosine similarity. */
+function buildIndex(posts: Post[]) {
+  const counts = posts.map((post) => {
+    // Titles count twice, they sum up a post better than any paragraph
+    const words = tokenize(`${post.data.title} ${post.data.title} ${post.body ?? ''}`)
+    const termCounts = new Map<string, number>()
+    words.forEach((word) => termCounts.set(word, (termCounts.get(word) ?? 0) + 1))
+    return { id: post.id, termCounts, total: words.length }
+  })
+
+  const documentFrequency = new Map<string, number>()
+  counts.forEach(({ termCounts }) =>
+    termCounts.forEach((_, word) =>
+      documentFrequency.set(word, (documentFrequency.get(word) ?? 0) + 1),
+    ),
+  )
+
+  const vectors = new Map<string, TermVector>()
+  counts.forEach(({ id, termCounts, total }) => {
+    const vector: TermVector = new Map()
+    termCounts.forEach((count, word) => {
+      const idf = Math.log(posts.length / documentFrequency.get(word)!)
+      if (idf > 0) vector.set(word, (count / total) * idf)
+    })
+    const norm = Math.sqrt([...vector.values()].reduce((sum, w) => sum + w * w, 0))
+    vector.forEach((weight, word) => vector.set(word, weight / norm))
+    vectors.set(id, vector)
+  })
+  return vectors
+}
+
+function cosineSimilarity(a: TermVector, b: TermVector) {
+  const [smaller, larger] = a.size < b.size ? [a, b] : [b, a]
+  let similarity = 0
+  smaller.forEach((weight, word) => (similarity += weight * (larger.get(word) ?? 0)))
+  return similarity
+}
+
+/** Share of the two posts' tags they have in common. */
+function tagSimilarity(a: Post, b: Post) {
+  const tags = new Set([...a.data.tags, ...b.data.tags])
+  if (tags.size === 0) return 0
+  const shared = a.data.tags.filter((tag) => b.data.tags.includes(tag)).length
+  return shared / tags.size
+}
+
+const indexes = new Map<string, Map<string, TermVector>>()
+
+/** Built once per set of posts and shared by every post page. */
+function getIndex(posts: Post[]) {
+  const key = posts.map((post) => post.id).join('\n')
+  let index = indexes.get(key)
+  if (!index) {
+    index = buildIndex(posts)
+    indexes.set(key, index)
+  }
+  return index
+}
+
+/** Posts most related to a post, best match first, scored with siteConfig.relatedPosts. */
+export function getRelatedPosts(post: Post, posts: Post[]) {
+  const { count, weights } = siteConfig.relatedPosts
+  const vectors = getIndex(posts)
+  const vector = vectors.get(post.id)
+  return posts
+    .filter((other) => other.id !== post.id)
+    .map((other) => {
+      const sameSeries =
+        !!post.data.series && post.data.series.id === other.data.series?.id
+      const text = vector ? cosineSimilarity(vector, vectors.get(other.id)!) : 0
+      const score =
+        weights.tags * tagSimilarity(post, other) +
+        weights.series * (sameSeries ? 1 : 0) +
+        weights.text * text
+      return { post: other, score }
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, count)
+    .map(({ post }) => post)
+}
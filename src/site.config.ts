@@ -12,8 +12,7 @@ const config: SiteConfig = {
   // Keywords for SEO, used in the meta tags.
   tags: ['Python', 'Rafiqul', 'Software Engineer', 'FastAPI', 'shopnilsazal'],
   // Path to the image used for generating social media previews.
-  // Needs to be a square JPEG file due to limitations of the social card generator.
-  // Try https://squoosh.app/ to easily convert images to JPEG.
+  // Shown on the social cards, cropped to a square
   socialCardAvatarImage: './src/content/avatar.jpg',
   // Font imported from @fontsource or elsewhere, used for the entire site.
   // To change this see src/styles/global.css and import a different font.
@@ -21,6 +20,21 @@ const config: SiteConfig = {
   // For pagination, the number of posts to display per page.
   // The homepage will display half this number in the "Latest Posts" section.
   pageSize: 6,
+  // Whether posts without an `updated` date take it from the last git commit of their file.
+  // Commits on the day a post was published do not count as updates.
+  // Needs the full history at build time, shallow CI checkouts date every post to the last commit.
+  updatedFromGit: false,
+  // The posts suggested under "More Posts" when a post is not part of a series.
+  // Posts score by the tags they share, being in the same series, and how similar their words are.
+  // Set a weight to 0 to ignore that signal.
+  relatedPosts: {
+    count: 3,
+    weights: {
+      tags: 1,
+      series: 0.5,
+      text: 2,
+    },
+  },
   // Whether Astro should resolve trailing slashes in URLs or not.
   // This value is used in the astro.config.mjs file and in the "Search" component to make sure pagefind links match this setting.
   // It is not recommended to change this, since most links existing in the site currently do not have trailing slashes.
@@ -0,0 +1,238 @@
+import siteConfig from '~/site.config'
+import { Resvg } from '@resvg/resvg-js'
+import satori, { type SatoriOptions } from 'satori'
+import { html } from 'satori-html'
+import { parseFrontmatter } from '@astrojs/markdown-remark'
+import sharp from 'sharp'
+import { dateString, resolveThemeColorStyles, type SeriesGroup } from '~/utils'
+import { render, type CollectionEntry } from 'astro:content'
+import type { Collation, SeriesCollation, SocialCard } from '~/types'
+import path from 'path'
+import fs from 'fs'
+import type { ReactNode } from 'react'
+
+// Load the font file as binary data
+const fontPath = path.resolve(
+  './node_modules/@expo-google-fonts/jetbrains-mono/400Regular/JetBrainsMono_400Regular.ttf',
+)
+const fontData = fs.readFileSync(fontPath) // Reads the file as a Buffer
+
+/**
+ * Satori only embeds PNG and JPEG images and draws them at full size, so images are
+ * cropped to the size they are shown at first, whatever format Astro accepted them in.
+ */
+async function jpegDataUri(file: string, width: number, height: number) {
+  const jpeg = await sharp(file).resize(width, height, { fit: 'cover' }).jpeg().toBuffer()
+  return `data:image/jpeg;base64,${jpeg.toString('base64')}`
+}
+
+const avatarSize = 88
+// Twice the size it is shown at, for sharper edges
+const avatar = await jpegDataUri(
+  path.resolve(siteConfig.socialCardAvatarImage),
+  avatarSize * 2,
+  avatarSize * 2,
+)
+
+const defaultTheme =
+  siteConfig.themes.default === 'auto'
+    ? siteConfig.themes.include[0]
+    : siteConfig.themes.default
+
+const themeStyles = await resolveThemeColorStyles(
+  [defaultTheme],
+  siteConfig.themes.overrides,
+)
+const bg = themeStyles[defaultTheme]?.background
+const fg = themeStyles[defaultTheme]?.foreground
+const accent = themeStyles[defaultTheme]?.accent
+
+if (!bg || !fg || !accent) {
+  throw new Error(`Theme ${defaultTheme} does not have required colors`)
+}
+
+const cardHeight = 630
+
+const ogOptions: SatoriOptions = {
+  // debug: true,
+  fonts: [
+    {
+      data: fontData,
+      name: 'JetBrains Mono',
+      style: 'normal',
+      weight: 400,
+    },
+  ],
+  height: cardHeight,
+  width: 1200,
+}
+
+const coverWidth = 480
+
+function escapeHtml(value: string) {
+  return value
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+}
+
+const entities: Record<string, string> = { amp: '&', lt: '<', gt: '>', quot: '"' }
+
+type CardNode = ReturnType<typeof html>
+
+/** satori-html keeps entities as written, so text escaped for parsing is decoded for satori. */
+function decodeText(node: CardNode | string): CardNode | string {
+  if (typeof node === 'string') {
+    return node.replace(/&(amp|lt|gt|quot);/g, (_, name: string) => entities[name])
+  }
+  const { children } = node.props
+  if (children !== undefined) {
+    node.props.children = (
+      Array.isArray(children) ? children.map(decodeText) : decodeText(children)
+    ) as CardNode['props']['children']
+  }
+  return node
+}
+
+const byline = (card: SocialCard) => `
+  <div tw="flex items-center">
+    <img src="${avatar}" style="width: ${avatarSize}px; height: ${avatarSize}px; border-radius: ${avatarSize / 2}px;" />
+    <p tw="text-3xl ml-6 my-0">${escapeHtml(card.author)}</p>
+  </div>`
+
+const details = (card: SocialCard) => `
+  <div tw="flex flex-col">
+    ${card.series ? `<p tw="text-3xl my-0 text-[${accent}]">${escapeHtml(card.series)}</p>` : ''}
+    ${
+      card.tags?.length
+        ? `<div tw="flex flex-wrap mt-4">${card.tags
+            .map(
+              (tag) =>
+                `<span tw="text-2xl mr-5 text-[${fg}]/70">#${escapeHtml(tag)}</span>`,
+            )
+            .join('')}</div>`
+        : ''
+    }
+  </div>`
+
+const kicker = (card: SocialCard) =>
+  card.kicker
+    ? `<p tw="text-3xl my-0 text-[${accent}]">${escapeHtml(card.kicker)}</p>`
+    : ''
+
+const layouts = {
+  // Title, date and author on a flat background
+  minimal: (card: SocialCard) => `
+    <div tw="flex flex-col max-w-full justify-center h-full bg-[${bg}] text-[${fg}] p-12">
+      <div style="border-width: 12px; border-radius: 80px;" tw="flex items-center max-w-full p-8 border-[${accent}]/30">
+        <div tw="flex flex-1 flex-col max-w-full justify-center items-center">
+          ${card.kicker ? `<p tw="text-3xl max-w-full text-[${accent}]">${escapeHtml(card.kicker)}</p>` : ''}
+          <h1 tw="text-6xl my-14 text-center leading-snug">${escapeHtml(card.title)}</h1>
+          ${card.author !== card.title ? `<p tw="text-4xl text-[${accent}]">${escapeHtml(card.author)}</p>` : ''}
+        </div>
+      </div>
+    </div>`,
+  standard: (card: SocialCard) => `
+    <div tw="flex flex-col w-full h-full bg-[${bg}] text-[${fg}] p-12">
+      <div style="border-width: 12px; border-radius: 80px;" tw="flex flex-col flex-1 justify-between px-14 py-12 border-[${accent}]/30">
+        ${byline(card)}
+        <div tw="flex flex-col">
+          ${kicker(card)}
+          <h1 tw="text-6xl mt-6 mb-0 leading-snug">${escapeHtml(card.title)}</h1>
+        </div>
+        ${details(card)}
+      </div>
+    </div>`,
+  cover: (card: SocialCard, cover: string) => `
+    <div tw="flex w-full h-full bg-[${bg}] text-[${fg}]">
+      <img src="${cover}" style="width: ${coverWidth}px; height: ${cardHeight}px;" />
+      <div tw="flex flex-col flex-1 justify-between p-12">
+        <div tw="flex flex-col">
+          ${kicker(card)}
+          <h1 tw="text-5xl mt-6 mb-0 leading-snug">${escapeHtml(card.title)}</h1>
+        </div>
+        ${details(card)}
+        ${byline(card)}
+      </div>
+    </div>`,
+}
+
+/** Renders a social card to a PNG response, falling back to the standard layout without a cover. */
+export async function renderSocialCard(card: SocialCard) {
+  const markup =
+    card.layout === 'cover' && card.coverPath
+      ? layouts.cover(card, await jpegDataUri(card.coverPath, coverWidth, cardHeight))
+      : layouts[card.layout === 'minimal' ? 'minimal' : 'standard'](card)
+  const svg = await satori(decodeText(html(markup)) as ReactNode, ogOptions)
+  const png = new Resvg(svg).render().asPng()
+  return new Response(png, {
+    headers: {
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'Content-Type': 'image/png',
+    },
+  })
+}
+
+/** Source file of an entry's cover image, its frontmatter path resolved next to the entry. */
+function coverSourcePath(entry: CollectionEntry<'posts' | 'series'>) {
+  if (!entry.data.coverImage || !entry.filePath) return undefined
+  const { frontmatter } = parseFrontmatter(fs.readFileSync(entry.filePath, 'utf8'))
+  const src = frontmatter.coverImage?.src
+  if (typeof src !== 'string') return undefined
+  const file = path.resolve(path.dirname(entry.filePath), src)
+  return fs.existsSync(file) ? file : undefined
+}
+
+/** Card for a post, with its date, reading time, tags and part in a series. */
+export async function postSocialCard(
+  post: CollectionEntry<'posts'>,
+  seriesGroup: SeriesGroup,
+): Promise<SocialCard> {
+  const { remarkPluginFrontmatter } = await render(post)
+  const series = seriesGroup.forPost(post)
+  const part = series ? series.entries.findIndex((p) => p.id === post.id) + 1 : 0
+  const coverPath = coverSourcePath(post)
+  return {
+    layout: post.data.socialCard ?? (coverPath ? 'cover' : 'standard'),
+    title: post.data.title,
+    author: post.data.author || siteConfig.author,
+    kicker: [dateString(post.data.published), remarkPluginFrontmatter.minutesRead]
+      .filter(Boolean)
+      .join(' · '),
+    series: series && `${series.title} · Part ${part} of ${series.entries.length}`,
+    tags: post.data.tags,
+    coverPath,
+  }
+}
+
+/** Card for a tag page, listing how many posts it holds. */
+export function tagSocialCard(tag: Collation<'posts'>): SocialCard {
+  const count = tag.entries.length
+  return {
+    layout: 'standard',
+    title: `#${tag.title}`,
+    author: siteConfig.author,
+    kicker: `Tag · ${count} ${count === 1 ? 'post' : 'posts'}`,
+  }
+}
+
+/** Card for a series page, with its cover, length, status and the tags of its posts. */
+export function seriesSocialCard(series: SeriesCollation): SocialCard {
+  const count = series.entries.length
+  const coverPath = coverSourcePath(series.entry)
+  return {
+    layout: coverPath ? 'cover' : 'standard',
+    title: series.title,
+    author: siteConfig.author,
+    kicker: [
+      'Series',
+      `${count} ${count === 1 ? 'part' : 'parts'}`,
+      series.entry.data.status === 'complete' ? 'Complete' : undefined,
+    ]
+      .filter(Boolean)
+      .join(' · '),
+    tags: [...new Set(series.entries.flatMap((post) => post.data.tags))],
+    coverPath,
+  }
+}
@@ -0,0 +1,100 @@
+import type { CollectionEntry } from 'astro:content'
+import type {
+  BlogPosting,
+  BreadcrumbList,
+  Person,
+  Thing,
+  WebSite,
+  WithContext,
+} from 'schema-dts'
+import siteConfig from '~/site.config'
+import type { SeriesCollation } from '~/types'
+import { lastModified } from '~/utils'
+
+export type StructuredData = WithContext<Thing>
+
+export interface Breadcrumb {
+  name: string
+  path: string
+}
+
+const siteUrl = (path: string) => new URL(path, siteConfig.site).href
+
+/** The site's author, linked to their profiles so search engines can tell them apart. */
+function personSchema(name = siteConfig.author): Exclude<Person, string> {
+  if (name !== siteConfig.author) return { '@type': 'Person', name }
+  const { github, twitter, mastodon, bluesky, linkedin } = siteConfig.socialLinks
+  return {
+    '@type': 'Person',
+    name,
+    url: siteUrl('/'),
+    sameAs: [github, twitter, mastodon, bluesky, linkedin].filter(
+      (link): link is string => !!link,
+    ),
+  }
+}
+
+/** Site name and owner for the home page. */
+export function websiteSchema(): StructuredData[] {
+  const website: WithContext<WebSite> = {
+    '@context': 'https://schema.org',
+    '@type': 'WebSite',
+    name: siteConfig.title,
+    description: siteConfig.description,
+    url: siteUrl('/'),
+    inLanguage: 'en',
+    author: personSchema(),
+  }
+  const person: WithContext<Person> = {
+    '@context': 'https://schema.org',
+    ...personSchema(),
+  }
+  return [website, person]
+}
+
+/** A post with its dates, tags, series and social card. */
+export function blogPostingSchema(
+  post: CollectionEntry<'posts'>,
+  series?: SeriesCollation,
+): WithContext<BlogPosting> {
+  const url = siteUrl(`/posts/${post.id}`)
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    headline: post.data.title,
+    description: post.data.description,
+    url,
+    mainEntityOfPage: url,
+    image: siteUrl(`/social-cards/${post.id}.png`),
+    datePublished: post.data.published.toISOString(),
+    dateModified: lastModified(post).toISOString(),
+    author: personSchema(post.data.author || siteConfig.author),
+    publisher: personSchema(),
+    keywords: post.data.tags,
+    isPartOf: series && {
+      '@type': 'CreativeWorkSeries',
+      name: series.title,
+      description: series.entry.data.description,
+      url: siteUrl(series.url),
+    },
+  }
+}
+
+/** Trail from the home page to the current page, which is the last crumb. */
+export function breadcrumbSchema(crumbs: Breadcrumb[]): WithContext<BreadcrumbList> {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'BreadcrumbList',
+    itemListElement: [{ name: 'Home', path: '/' }, ...crumbs].map((crumb, index) => ({
+      '@type': 'ListItem',
+      position: index + 1,
+      name: crumb.name,
+      item: siteUrl(crumb.path),
+    })),
+  }
+}
+
+/** JSON for an inline script, with `<` escaped so content cannot close the script early. */
+export function serializeStructuredData(data: StructuredData) {
+  return JSON.stringify(data).replaceAll('<', '\\u003c')
+}
@@ -52,6 +52,15 @@ export interface Collation<CollectionType extends keyof DataEntryMap> {
   entries: CollectionEntry<CollectionType>[]
 }
 
+export const seriesStatuses = ['ongoing', 'complete'] as const
+
+export type SeriesStatus = (typeof seriesStatuses)[number]
+
+// A series collation carries its entry from the series collection
+export interface SeriesCollation extends Collation<'posts'> {
+  entry: CollectionEntry<'series'>
+}
+
 export interface CollationGroup<CollectionType extends keyof DataEntryMap> {
   title: string
   url: string
@@ -63,6 +72,7 @@ export interface CollationGroup<CollectionType extends keyof DataEntryMap> {
   add(item: CollectionEntry<CollectionType>, rawKey: string): void
   match(title: string): Collation<CollectionType> | undefined
   matchMany(titles: string[]): Collation<CollectionType>[] | undefined
+  feedMetadata(collation: Collation<CollectionType>): FeedMetadata
 }
 
 export type NavLink = {
@@ -146,6 +156,40 @@ export interface ThemesConfig {
   overrides?: ThemeOverrides
 }
 
+export interface FeedMetadata {
+  title: string
+  description: string
+  // Site path of the page the feed follows, its feeds live next to it
+  path: string
+}
+
+export interface FeedItem {
+  id: string
+  title: string
+  url: string
+  published: Date
+  updated?: Date
+  description?: string
+  author: string
+  tags: string[]
+  content: string
+}
+
+// Layouts of the generated social cards, picked per post with the socialCard frontmatter field
+export const socialCardLayouts = ['standard', 'cover', 'minimal'] as const
+
+export type SocialCardLayout = (typeof socialCardLayouts)[number]
+
+export interface SocialCard {
+  layout: SocialCardLayout
+  title: string
+  author: string
+  kicker?: string // Accent line above the title, like the date and reading time
+  series?: string
+  tags?: string[]
+  coverPath?: string // Image file drawn by the cover layout
+}
+
 export type SocialLinks = {
   github?: string
   twitter?: string
@@ -164,6 +208,16 @@ export type GiscusConfig = {
   reactionsEnabled: boolean
 }
 
+export type RelatedPostsConfig = {
+  count: number
+  // How much each signal adds to a post's score, each signal is between 0 and 1
+  weights: {
+    tags: number
+    series: number
+    text: number
+  }
+}
+
 export interface SiteConfig {
   site: string
   font: string
@@ -173,10 +227,12 @@ export interface SiteConfig {
   socialCardAvatarImage: string
   tags: string[]
   pageSize: number
+  updatedFromGit: boolean
+  relatedPosts: RelatedPostsConfig
   trailingSlashes: boolean
   themes: ThemesConfig
   socialLinks: SocialLinks
   navLinks: NavLink[]
-  giscus: GiscusConfig | undefined,
+  giscus: GiscusConfig | undefined
   characters: Record<string, string>
 }
@@ -6,6 +6,8 @@ import {
   type ThemeOverrides,
   type Collation,
   type CollationGroup,
+  type FeedMetadata,
+  type SeriesCollation,
 } from '~/types'
 import {
   loadShikiTheme,
@@ -15,6 +17,8 @@ import {
 import { getCollection, type CollectionEntry } from 'astro:content'
 import Color from 'color'
 import { slug } from 'github-slugger'
+import siteConfig from '~/site.config'
+import { gitRevised } from '~/last-modified'
 
 export function dateString(date: Date) {
   return date.toISOString().split('T')[0]
@@ -214,12 +218,36 @@ export async function resolveThemeColorStyles(
   return Object.fromEntries(await Promise.all(resolvedThemes)) as ThemesWithColorStyles
 }
 
-export async function getSortedPosts() {
+/** Absolute URL of a feed file next to the page the feed follows, like /tags/python/rss.xml. */
+export function feedUrl(metadata: FeedMetadata, file: string) {
+  return new URL(`${metadata.path.replace(/\/$/, '')}/${file}`, siteConfig.site).href
+}
+
+/** Date a post was last revised, its publication date if it never was. */
+export function lastModified(post: CollectionEntry<'posts'>) {
+  return post.data.updated ?? post.data.published
+}
+
+/** Takes a missing `updated` date from git, ignoring commits from the publication day. */
+function withGitUpdated(post: CollectionEntry<'posts'>): CollectionEntry<'posts'> {
+  if (post.data.updated || !post.filePath) return post
+  const updated = gitRevised(post.filePath, post.data.published)
+  if (!updated) return post
+  return { ...post, data: { ...post.data, updated } }
+}
+
+/** Posts oldest first, by publication date or by the date they were last revised. */
+export async function getSortedPosts(sortBy: 'published' | 'updated' = 'published') {
   const allPosts = await getCollection('posts', ({ data }) => {
     return import.meta.env.PROD ? data.draft !== true : true
   })
-  const sortedPosts = allPosts.sort((a, b) => {
-    return a.data.published < b.data.published ? -1 : 1
+  const posts = siteConfig.updatedFromGit ? allPosts.map(withGitUpdated) : allPosts
+  const date =
+    sortBy === 'updated'
+      ? lastModified
+      : (post: CollectionEntry<'posts'>) => post.data.published
+  const sortedPosts = posts.sort((a, b) => {
+    return date(a) < date(b) ? -1 : 1
   })
   return sortedPosts
 }
@@ -235,22 +263,21 @@ abstract class PostsCollationGroup implements CollationGroup<'posts'> {
     this.collations = collations
   }
 
-  sortCollationsAlpha(): Collation<'posts'>[] {
+  sortCollationsAlpha(): this['collations'] {
     this.collations.sort((a, b) => a.title.localeCompare(b.title))
     return this.collations
   }
 
-  sortCollationsLargest(): Collation<'posts'>[] {
+  sortCollationsLargest(): this['collations'] {
     this.collations.sort((a, b) => b.entries.length - a.entries.length)
     return this.collations
   }
 
-  sortCollationsMostRecent(): Collation<'posts'>[] {
-    this.collations.sort((a, b) => {
-      const aDate = a.entries[a.entries.length - 1].data.published
-      const bDate = b.entries[b.entries.length - 1].data.published
-      return aDate < bDate ? 1 : -1
-    })
+  sortCollationsMostRecent(): this['collations'] {
+    // Series can be ordered by part, so the newest post is not always the last one
+    const latest = (collation: Collation<'posts'>) =>
+      Math.max(...collation.entries.map((entry) => entry.data.published.getTime()))
+    this.collations.sort((a, b) => latest(b) - latest(a))
     return this.collations
   }
 
@@ -272,32 +299,82 @@ abstract class PostsCollationGroup implements CollationGroup<'posts'> {
     }
   }
 
-  match(rawKey: string): Collation<'posts'> | undefined {
+  match(rawKey: string): this['collations'][number] | undefined {
     return this.collations.find((entry) => entry.title === rawKey)
   }
 
-  matchMany(rawKeys: string[]): Collation<'posts'>[] {
+  matchMany(rawKeys: string[]): this['collations'] {
     return this.collations.filter((entry) => rawKeys.includes(entry.title))
   }
+
+  abstract feedMetadata(collation: Collation<'posts'>): FeedMetadata
+}
+
+/** Explicit seriesOrder first, then posts without one by publication date. */
+function bySeriesOrder(a: CollectionEntry<'posts'>, b: CollectionEntry<'posts'>) {
+  const aOrder = a.data.seriesOrder ?? Infinity
+  const bOrder = b.data.seriesOrder ?? Infinity
+  if (aOrder !== bOrder) return aOrder - bOrder
+  return a.data.published < b.data.published ? -1 : 1
 }
 
 export class SeriesGroup extends PostsCollationGroup {
+  declare collations: SeriesCollation[]
+
   // Private constructor to enforce the use of the static build method
-  private constructor(title: string, url: string, items: Collation<'posts'>[]) {
+  private constructor(title: string, url: string, items: SeriesCollation[]) {
     super(title, url, items)
   }
   // Factory method to create a SeriesGroup instance with async data fetching
   static async build(posts?: CollectionEntry<'posts'>[]): Promise<SeriesGroup> {
     const sortedPosts = posts || (await getSortedPosts())
+    const allSeries = await getCollection('series')
     const seriesGroup = new SeriesGroup('Series', '/series', [])
     sortedPosts.forEach((post) => {
-      const frontmatterSeries = post.data.series
-      if (frontmatterSeries) {
-        seriesGroup.add(post, frontmatterSeries)
+      const reference = post.data.series
+      if (!reference) return
+      const series = allSeries.find((entry) => entry.id === reference.id)
+      if (!series) {
+        throw new Error(
+          `Post "${post.id}" is part of series "${reference.id}", which has no file in src/content/series`,
+        )
       }
+      seriesGroup.addToSeries(post, series)
     })
+    seriesGroup.collations.forEach((series) => series.entries.sort(bySeriesOrder))
     return seriesGroup
   }
+
+  // Series are keyed by their file name, which also makes their URL
+  private addToSeries(post: CollectionEntry<'posts'>, entry: CollectionEntry<'series'>) {
+    const existing = this.collations.find((series) => series.entry.id === entry.id)
+    if (existing) {
+      existing.entries.push(post)
+    } else {
+      this.collations.push({
+        title: entry.data.title,
+        titleSlug: entry.id,
+        url: `${this.url}/${encodeURIComponent(entry.id)}`,
+        entries: [post],
+        entry,
+      })
+    }
+  }
+
+  /** The series a post belongs to, in part order. */
+  forPost(post: CollectionEntry<'posts'>): SeriesCollation | undefined {
+    const reference = post.data.series
+    return reference && this.collations.find((series) => series.entry.id === reference.id)
+  }
+
+  feedMetadata(collation: SeriesCollation): FeedMetadata {
+    return {
+      title: `Series: ${collation.title} - ${siteConfig.title}`,
+      description:
+        collation.entry.data.description ?? `All posts in the ${collation.title} series`,
+      path: collation.url,
+    }
+  }
 }
 
 export class TagsGroup extends PostsCollationGroup {
@@ -306,8 +383,8 @@ export class TagsGroup extends PostsCollationGroup {
     super(title, url, items)
   }
 
-  // Factory method to create a SeriesGroup instance with async data fetching
-  static async build(posts?: CollectionEntry<'posts'>[]): Promise<SeriesGroup> {
+  // Factory method to create a TagsGroup instance with async data fetching
+  static async build(posts?: CollectionEntry<'posts'>[]): Promise<TagsGroup> {
     const sortedPosts = posts || (await getSortedPosts())
     const tagsGroup = new TagsGroup('Tags', '/tags', [])
     sortedPosts.forEach((post) => {
@@ -318,6 +395,14 @@ export class TagsGroup extends PostsCollationGroup {
     })
     return tagsGroup
   }
+
+  feedMetadata(collation: Collation<'posts'>): FeedMetadata {
+    return {
+      title: `Tag: ${collation.title} - ${siteConfig.title}`,
+      description: `All posts tagged with ${collation.title}`,
+      path: collation.url,
+    }
+  }
 }
 
 export function getPostSequenceContext(
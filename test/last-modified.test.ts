@@ -0,0 +1,38 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { afterAll, beforeAll, describe, expect, it } from 'vitest'
+import { postsLastModified } from '~/last-modified'
+
+let postsDir: string
+
+function writePost(file: string, frontmatter: string) {
+  fs.mkdirSync(path.dirname(path.join(postsDir, file)), { recursive: true })
+  fs.writeFileSync(
+    path.join(postsDir, file),
+    `---\ntitle: Post\n${frontmatter}---\n\nBody\n`,
+  )
+}
+
+describe('postsLastModified', () => {
+  beforeAll(() => {
+    postsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'posts-'))
+    writePost('Hello World.md', 'published: 2024-01-02\n')
+    writePost('asgi/index.mdx', 'published: 2024-01-02\nupdated: 2024-03-04\n')
+    writePost('renamed.md', 'published: 2024-01-02\nslug: custom-slug\n')
+  })
+
+  afterAll(() => {
+    fs.rmSync(postsDir, { recursive: true, force: true })
+  })
+
+  it('dates posts by the ids the posts collection gives them', () => {
+    expect(postsLastModified(postsDir)).toEqual(
+      new Map([
+        ['hello-world', new Date('2024-01-02')],
+        ['asgi', new Date('2024-03-04')],
+        ['custom-slug', new Date('2024-01-02')],
+      ]),
+    )
+  })
+})
@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest'
+import type { CollectionEntry } from 'astro:content'
+import { getRelatedPosts } from '~/related-posts'
+
+function buildPost(
+  id: string,
+  data: Partial<CollectionEntry<'posts'>['data']> = {},
+  body = 'Serving requests with sockets, handlers and routing tables.',
+) {
+  return {
+    id,
+    collection: 'posts',
+    body,
+    data: {
+      title: 'Building an HTTP server',
+      description: 'A post about HTTP',
+      published: new Date('2024-01-02T10:00:00Z'),
+      draft: false,
+      tags: ['python', 'http'],
+      toc: true,
+      ...data,
+    },
+  } as CollectionEntry<'posts'>
+}
+
+const inSeries = (id: string) => ({ collection: 'series' as const, id })
+
+describe('getRelatedPosts', () => {
+  it('ranks a post of the same series above an otherwise equal one', () => {
+    const post = buildPost('part-1', { series: inSeries('python-http-journey') })
+    const outsider = buildPost('outsider')
+    const member = buildPost('part-2', { series: inSeries('python-http-journey') })
+
+    expect(getRelatedPosts(post, [post, outsider, member]).map(({ id }) => id)).toEqual([
+      'part-2',
+      'outsider',
+    ])
+  })
+
+  it('leaves out posts sharing nothing', () => {
+    const post = buildPost('part-1')
+    const unrelated = buildPost(
+      'gardening',
+      { title: 'Tomatoes', tags: ['garden'] },
+      'Watering plants every morning keeps them green.',
+    )
+
+    expect(getRelatedPosts(post, [post, unrelated])).toEqual([])
+  })
+})
@@ -0,0 +1,129 @@
+import { describe, expect, it } from 'vitest'
+import type { CollectionEntry } from 'astro:content'
+import siteConfig from '~/site.config'
+import type { SeriesCollation } from '~/types'
+import {
+  blogPostingSchema,
+  breadcrumbSchema,
+  serializeStructuredData,
+  websiteSchema,
+} from '~/structured-data'
+
+const siteUrl = (path: string) => new URL(path, siteConfig.site).href
+
+function buildPost(data: Partial<CollectionEntry<'posts'>['data']> = {}) {
+  return {
+    id: 'hello-world',
+    collection: 'posts',
+    data: {
+      title: 'Hello, World',
+      description: 'A first post',
+      published: new Date('2024-01-02T10:00:00Z'),
+      draft: false,
+      tags: ['astro', 'seo'],
+      toc: true,
+      ...data,
+    },
+  } as CollectionEntry<'posts'>
+}
+
+describe('blogPostingSchema', () => {
+  it('describes a post with its dates, author and social card', () => {
+    const schema = blogPostingSchema(
+      buildPost({ updated: new Date('2024-03-04T08:30:00Z') }),
+    )
+
+    expect(schema).toMatchObject({
+      '@context': 'https://schema.org',
+      '@type': 'BlogPosting',
+      headline: 'Hello, World',
+      description: 'A first post',
+      url: siteUrl('/posts/hello-world'),
+      mainEntityOfPage: siteUrl('/posts/hello-world'),
+      image: siteUrl('/social-cards/hello-world.png'),
+      datePublished: '2024-01-02T10:00:00.000Z',
+      dateModified: '2024-03-04T08:30:00.000Z',
+      author: { '@type': 'Person', name: siteConfig.author, url: siteUrl('/') },
+      publisher: { '@type': 'Person', name: siteConfig.author },
+      keywords: ['astro', 'seo'],
+    })
+    expect(schema.isPartOf).toBeUndefined()
+  })
+
+  it('falls back to the publication date and names guest authors', () => {
+    const schema = blogPostingSchema(buildPost({ author: 'Ada Lovelace' }))
+
+    expect(schema.dateModified).toBe('2024-01-02T10:00:00.000Z')
+    expect(schema.author).toEqual({ '@type': 'Person', name: 'Ada Lovelace' })
+  })
+
+  it('links the series a post is part of', () => {
+    const series = {
+      title: 'Python HTTP Journey',
+      url: '/series/python-http-journey',
+      entry: { data: { description: 'From sockets to frameworks' } },
+    } as SeriesCollation
+
+    expect(blogPostingSchema(buildPost(), series).isPartOf).toEqual({
+      '@type': 'CreativeWorkSeries',
+      name: 'Python HTTP Journey',
+      description: 'From sockets to frameworks',
+      url: siteUrl('/series/python-http-journey'),
+    })
+  })
+})
+
+describe('breadcrumbSchema', () => {
+  it('lists the trail from the home page in order', () => {
+    const schema = breadcrumbSchema([
+      { name: 'Posts', path: '/posts' },
+      { name: 'Hello, World', path: '/posts/hello-world' },
+    ])
+
+    expect(schema['@context']).toBe('https://schema.org')
+    expect(schema['@type']).toBe('BreadcrumbList')
+    expect(schema.itemListElement).toEqual([
+      { '@type': 'ListItem', position: 1, name: 'Home', item: siteUrl('/') },
+      { '@type': 'ListItem', position: 2, name: 'Posts', item: siteUrl('/posts') },
+      {
+        '@type': 'ListItem',
+        position: 3,
+        name: 'Hello, World',
+        item: siteUrl('/posts/hello-world'),
+      },
+    ])
+  })
+})
+
+describe('websiteSchema', () => {
+  it('describes the site and its author for the home page', () => {
+    const [website, person] = websiteSchema()
+
+    expect(website).toMatchObject({
+      '@context': 'https://schema.org',
+      '@type': 'WebSite',
+      name: siteConfig.title,
+      description: siteConfig.description,
+      url: siteUrl('/'),
+      author: { '@type': 'Person', name: siteConfig.author },
+    })
+    expect(person).toMatchObject({
+      '@context': 'https://schema.org',
+      '@type': 'Person',
+      name: siteConfig.author,
+      url: siteUrl('/'),
+      sameAs: expect.arrayContaining([siteConfig.socialLinks.github]),
+    })
+  })
+})
+
+describe('serializeStructuredData', () => {
+  it('escapes markup that could close the script element', () => {
+    const json = serializeStructuredData(
+      blogPostingSchema(buildPost({ title: '</script><script>alert(1)' })),
+    )
+
+    expect(json).not.toContain('</script>')
+    expect(JSON.parse(json).headline).toBe('</script><script>alert(1)')
+  })
+})
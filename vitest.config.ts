@@ -0,0 +1,12 @@
+import { getViteConfig } from 'astro/config'
+import { defineConfig } from 'vitest/config'
+
+// Astro's Vite setup, so tests can import `~/` modules and `astro:content`.
+// Astro bundles its own Vite, whose config type lacks vitest's `test` option.
+export default getViteConfig(
+  defineConfig({
+    test: {
+      include: ['test/**/*.test.ts'],
+    },
+  }) as Parameters<typeof getViteConfig>[0],
+)